@@ -0,0 +1,300 @@
+"use strict";
+
+/*****************************************************************************
+A Babel plugin that transforms message markers for translation at runtime.
+
+It performs the same rewrite as transformMessageNodes in jsxlate.js, but as
+a visitor in the Babel pipeline, so it can run alongside other plugins and
+keeps source maps intact. Usage, in .babelrc:
+
+    {
+        "plugins": ["jsxlate/babel-plugin"]
+    }
+
+Each JSX message marker,
+
+    <I18N>Hello, {name}!</I18N>
+
+becomes
+
+    <I18N message={"Hello, {name}!"}
+          context={this}
+          args={[name]}
+          fallback={function() { return <span>Hello, {name}!</span>; }} />
+
+A marker with a tagName, like <I18N tagName="option">, renders as that
+element instead of a span, in both the fallback and the translation. The
+marker keeps its tagName and other attributes, apart from jsxlate's own
+i18n- ones, for the I18N component to render the translation with.
+
+String markers are left as they are, but are validated. If the project
+uses hashed message ids, string markers are given their id instead of
+any comment or context, as i18n("Hello", {id: "f7ff9e8b7b"}).
+
+Messages in a domain, given by i18n-domain or by the "domains" of the
+configuration for the file they are in, are transformed with it, as
+<I18N domain="admin" ...> and i18n("Users", {domain: "admin"}), so the
+runtime looks them up in that domain's messages.
+
+Each file is transformed under the .jsxlaterc or jsxlate.config.js
+nearest to it, as for the command line tools. Marker names may also be
+given as a plugin option, as for jsxlate.setMarkers, and take the place
+of the configured ones:
+
+    {
+        "plugins": [["jsxlate/babel-plugin", {
+            "markers": {"string": ["t"], "element": ["T", "Intl.Message"]}
+        }]]
+    }
+
+*****************************************************************************/
+
+var path = require('path');
+
+var config = require('./lib/config');
+var jsxlate = require('./lib/jsxlate');
+
+// Configurations by the directory they were loaded for:
+var configsByDirectory = {};
+
+function configForFile(filename) {
+    var dir = filename ? path.dirname(path.resolve(filename)) : process.cwd();
+    if (!configsByDirectory[dir]) {
+        configsByDirectory[dir] = config.load(dir);
+    }
+    return configsByDirectory[dir];
+}
+
+
+module.exports = function jsxlateBabelPlugin(babel) {
+    var t = babel.types;
+
+    // "Intl.Message" for <Intl.Message>, undefined for computed members etc.
+    function dottedName(node) {
+        if (t.isIdentifier(node) || t.isJSXIdentifier(node)) {
+            return node.name;
+        }
+        if ((t.isMemberExpression(node) && !node.computed) || t.isJSXMemberExpression(node)) {
+            var object = dottedName(node.object);
+            return object && object + '.' + node.property.name;
+        }
+    }
+
+    /*
+        The configuration a file is transformed under: its project's, with
+        the markers given as plugin options in place of the configured ones.
+        Kinds of marker given in neither keep jsxlate's current names.
+    */
+    function configFor(state) {
+        var projectConfig = configForFile(state.file.opts.filename);
+        var markers = jsxlate.getMarkers();
+        ['string', 'element'].forEach(function (kind) {
+            var names = (state.opts.markers || {})[kind] || (projectConfig.markers || {})[kind];
+            if (names) {
+                markers[kind] = [].concat(names);
+            }
+        });
+        return Object.assign({}, projectConfig, {markers: markers});
+    }
+
+    function isStringMarker(node, markers) {
+        return markers.string.indexOf(dottedName(node.callee)) !== -1;
+    }
+
+    function isElementMarker(node, markers) {
+        var opening = node.openingElement;
+        return !opening.selfClosing
+            && markers.element.indexOf(dottedName(opening.name)) !== -1;
+    }
+
+    /*
+        jsxlate works on ESTree ASTs as acorn parses them, where Babel's
+        StringLiteral, NumericLiteral and JSXText are all Literals and an
+        ObjectProperty is a Property. Return a copy of a node in that form,
+        as plain objects.
+    */
+    function toEstree(node) {
+        if (Array.isArray(node)) {
+            return node.map(toEstree);
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        var result = {};
+        Object.keys(node).forEach(function (key) {
+            if (key !== 'extra' && key !== 'loc' && key[0] !== '_' && !/Comments$/.test(key)) {
+                result[key] = toEstree(node[key]);
+            }
+        });
+        if (node.loc) {
+            result.loc = {
+                start: {line: node.loc.start.line, column: node.loc.start.column},
+                end: {line: node.loc.end.line, column: node.loc.end.column}
+            };
+        }
+        switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+        case 'JSXText':
+            result.type = 'Literal';
+            if (node.extra && node.extra.raw !== undefined) {
+                result.raw = node.extra.raw;
+            }
+            break;
+        case 'NullLiteral':
+            result.type = 'Literal';
+            result.value = null;
+            break;
+        case 'RegExpLiteral':
+            result.type = 'Literal';
+            result.regex = {pattern: node.pattern, flags: node.flags};
+            break;
+        case 'ObjectProperty':
+            result.type = 'Property';
+            result.kind = 'init';
+            result.method = false;
+            break;
+        case 'ObjectMethod':
+            result = {
+                type: 'Property',
+                key: result.key,
+                computed: result.computed,
+                kind: node.kind === 'method' ? 'init' : node.kind,
+                method: node.kind === 'method',
+                shorthand: false,
+                value: {
+                    type: 'FunctionExpression',
+                    params: result.params,
+                    body: result.body,
+                    generator: result.generator,
+                    async: result.async
+                },
+                loc: result.loc
+            };
+            break;
+        }
+        return result;
+    }
+
+    function describe(path, state) {
+        var fileConfig = state.get('jsxlateConfig');
+        try {
+            return jsxlate.describeMessageNode(toEstree(path.node), {
+                config: fileConfig,
+                defaultDomain: state.file.opts.filename
+                    ? config.domainForFile(fileConfig, state.file.opts.filename)
+                    : undefined
+            });
+        } catch (e) {
+            throw path.buildCodeFrameError(jsxlate.errorMessageForError(e).trim());
+        }
+    }
+
+    function option(name, value) {
+        return t.objectProperty(t.identifier(name), t.stringLiteral(value));
+    }
+
+    function attribute(name, expression) {
+        return t.jSXAttribute(
+            t.jSXIdentifier(name),
+            t.jSXExpressionContainer(expression));
+    }
+
+    // Strip i18n ids from an element, both <name:id> and i18n-id="id".
+    function removeId(element) {
+        var opening = element.openingElement;
+        if (t.isJSXNamespacedName(opening.name)) {
+            opening.name = opening.name.namespace;
+            if (element.closingElement) {
+                element.closingElement.name = opening.name;
+            }
+        }
+        opening.attributes = opening.attributes.filter(function (a) {
+            return !t.isJSXIdentifier(a.name, {name: 'i18n-id'});
+        });
+        element.children.forEach(function (child) {
+            if (t.isJSXElement(child)) {
+                removeId(child);
+            }
+        });
+        return element;
+    }
+
+    function fallbackFor(node, tagName) {
+        var element = removeId(t.cloneDeep(node));
+        // Attributes like i18n-comment and tagName are for jsxlate, not the DOM:
+        element.openingElement.attributes = element.openingElement.attributes.filter(function (a) {
+            return !(t.isJSXIdentifier(a.name) &&
+                (a.name.name === 'tagName' || /^i18n-/.test(a.name.name)));
+        });
+        element.openingElement.name = t.jSXIdentifier(tagName);
+        element.closingElement.name = t.jSXIdentifier(tagName);
+        return t.functionExpression(null, [], t.blockStatement([
+            t.returnStatement(element)
+        ]));
+    }
+
+    return {
+        visitor: {
+            Program: function (path, state) {
+                state.set('jsxlateConfig', configFor(state));
+            },
+
+            CallExpression: function (path, state) {
+                if (isStringMarker(path.node, state.get('jsxlateConfig').markers)) {
+                    var description = describe(path, state);
+                    var hashed = description.id !== description.message;
+                    // With hashed ids, the runtime looks strings up by id, and
+                    // in a domain, among the messages of that domain:
+                    if (hashed || description.domain) {
+                        var options = path.node.arguments[1];
+                        var properties = hashed
+                            ? [option('id', description.id)]
+                            : t.isObjectExpression(options) ? options.properties.filter(function (p) {
+                                return (p.key.name || p.key.value) !== 'domain';
+                            }) : [];
+                        if (description.domain) {
+                            properties.push(option('domain', description.domain));
+                        }
+                        path.node.arguments = [
+                            path.node.arguments[0],
+                            t.objectExpression(properties)
+                        ];
+                    }
+                }
+            },
+
+            JSXElement: function (path, state) {
+                if (!isElementMarker(path.node, state.get('jsxlateConfig').markers)) {
+                    return;
+                }
+                var description = describe(path, state);
+                var markerName = t.cloneDeep(path.node.openingElement.name);
+                var attributes = [
+                    attribute('message', t.stringLiteral(description.id)),
+                    attribute('context', t.thisExpression()),
+                    attribute('args', t.arrayExpression(
+                        description.freeVariables.map(function (name) {
+                            return t.identifier(name);
+                        }))),
+                    attribute('fallback', fallbackFor(path.node, description.tagName))
+                ];
+                if (description.domain) {
+                    attributes.push(t.jSXAttribute(
+                        t.jSXIdentifier('domain'), t.stringLiteral(description.domain)));
+                }
+                // The I18N component renders as the marker's tagName, with
+                // its other attributes, whichever translation it renders:
+                path.node.openingElement.attributes.forEach(function (a) {
+                    if (!(t.isJSXAttribute(a) && t.isJSXIdentifier(a.name) && /^i18n-/.test(a.name.name))) {
+                        attributes.push(t.cloneDeep(a));
+                    }
+                });
+                var opening = t.jSXOpeningElement(markerName, attributes, true);
+                path.replaceWith(t.jSXElement(opening, null, [], true));
+                path.skip();
+            }
+        }
+    };
+};
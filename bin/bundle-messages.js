@@ -2,62 +2,422 @@
 "use strict";
 
 function showHelpAndExit() {
-    console.log("Usage: bundle-messages -t TRANSLATIONS [-o OUTPUT] ...FILES/DIRECTORIES");
+    console.log("Usage: bundle-messages -t TRANSLATIONS [-o OUTPUT] [--locale LOCALE] ...FILES/DIRECTORIES");
+    console.log("       bundle-messages -d DIRECTORY [--split] -t LOCALE=TRANSLATIONS [-t LOCALE=TRANSLATIONS...] [...FILES/DIRECTORIES]");
     console.log("Prints a JS module with messages in FILES/DIRECTORIES mapped")
     console.log("to render functions.");
     console.log("If -o is passed, writes to OUTPUT instead of stdout.")
+    console.log("TRANSLATIONS may be JSON, a gettext .po file or XLIFF; fuzzy .po")
+    console.log("translations are only used if --fuzzy is passed.")
+    console.log("If --locale is passed, every Pluralize in the translations must match exactly")
+    console.log("the plural categories of LOCALE, e.g. one, few, many and other for ru.")
+    console.log("If -f json is passed, writes the messages as JSON data for the I18N component to")
+    console.log("interpret, which can be loaded without building it; -f js is the default.")
+    console.log("If -d is passed, writes a module for each LOCALE to DIRECTORY/LOCALE.js (or .json),")
+    console.log("checked as with --locale, and DIRECTORY/loaders.js, which maps each LOCALE to a")
+    console.log("function that imports its module, for use with loadLocale.")
+    console.log("If --split is passed with -d, writes a bundle for each chunk of the source to")
+    console.log("DIRECTORY/LOCALE/CHUNK.js (or .json), with only the messages used in that chunk,")
+    console.log("DIRECTORY/manifest.json, which maps each CHUNK and LOCALE to its bundle, and")
+    console.log("DIRECTORY/loaders.js, for use with loadChunk. Chunks are given by \"chunks\" in the")
+    console.log("configuration, e.g. {\"chunks\": {\"admin\": [\"src/admin\"]}}, relative to the configuration")
+    console.log("file, and then FILES/DIRECTORIES can't be given; or else each of FILES/DIRECTORIES is a")
+    console.log("chunk named after it.")
+    console.log("Messages in a domain, given by i18n-domain or by \"domains\" in the configuration,")
+    console.log("are translated from a TRANSLATIONS file for the domain, e.g. messages-fr.admin.json")
+    console.log("for \"admin\", and bundled to their own OUTPUT, e.g. bundle-fr.admin.js, or with -d,")
+    console.log("DIRECTORY/LOCALE.admin.js; with --split, each chunk's bundle has all its domains.")
+    console.log("If --watch is passed with -o or -d, keeps running, and rebuilds the bundles whenever")
+    console.log("FILES/DIRECTORIES or TRANSLATIONS change, rewriting those which change.")
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
     process.exit();
 }
 
 var argv = require('minimist')(process.argv.slice(2), {
-    string: 'toh',
-    alias: {t: 'translations', o: 'output', h: 'help'}
+    string: ['t', 'o', 'd', 'f', 'h', 'locale'],
+    boolean: ['split', 'watch'],
+    alias: {t: 'translations', o: 'output', d: 'directory', f: 'format', h: 'help'},
+    default: {f: 'js'}
 });
 
-if (!(argv._.length && argv.t) || argv.h) {
+// With --split, the sources may come from the configured chunks instead:
+if (!((argv._.length || argv.split) && argv.t) || argv.h) {
     showHelpAndExit();
 }
 
 var chalk = require('chalk');
 var fs = require('fs');
-var rw = require('rw');
+var path = require('path');
 
+var chunksFromPaths = require('./chunks').chunksFromPaths;
+var config = require('../lib/config.js');
+var configure = require('./configure');
+var domainFile = require('./domainFile');
 var filesFromMixedPaths = require('./filesFromMixedPaths');
+var importFunction = require('./chunks').importFunction;
+var readTranslations = require('./readTranslations');
 var jsxlate = require('../lib/jsxlate.js');
+var plurals = require('../lib/plurals.js');
+var splitLayout = require('./chunks').splitLayout;
+var watch = require('./watch');
 
+var projectConfig = configure(argv);
 
-var translations = JSON.parse(rw.readFileSync(argv.t, "utf8"));
-var files = filesFromMixedPaths(argv._);
-var bundle = {};
 
+function exitWithError(message) {
+    console.error(chalk.bold.red(message));
+    process.exit(1);
+}
+
+if (['js', 'json'].indexOf(argv.f) === -1) {
+    exitWithError("Unknown format: " + argv.f);
+}
+
+function checkLocale(locale) {
+    if (!plurals.cardinalCategories(locale)) {
+        exitWithError("No plural rules are known for locale " + locale + ".");
+    }
+}
+
+/*
+    With --watch, an error in the sources or translations stops only the
+    build it is found in, and the bundles are built again on the next change.
+*/
+function BuildError() {}
+
+function failBuild(message) {
+    console.error(message);
+    if (argv.watch) {
+        throw new BuildError();
+    }
+    process.exit(1);
+}
 
-files.forEach(function (filename) {
-    var buffer = fs.readFileSync(filename, "utf8");
+function failBuildInFile(filename, e) {
+    failBuild(chalk.bold.red("\nError in file " + filename + ":") + "\n" + jsxlate.errorMessageForError(e));
+}
+
+// Sources by filename, read again with --watch when they change:
+var sourcesByFile = {};
+
+/*
+    Each source is {filename, src, domain, details, domains}, where domain
+    is the default domain of its messages, details describe them as from
+    extractMessageDetails, and domains are those its messages are in.
+*/
+function readSources(paths) {
+    if (argv.watch) {
+        // A path given which has been removed has no files, until it comes back:
+        paths = paths.filter(function (p) {
+            return fs.existsSync(p);
+        });
+    }
+    return filesFromMixedPaths(paths).map(function (filename) {
+        if (sourcesByFile[filename]) {
+            return sourcesByFile[filename];
+        }
+        var source = {
+            filename: filename,
+            src: fs.readFileSync(filename, "utf8"),
+            domain: config.domainForFile(projectConfig, filename)
+        };
+        try {
+            source.details = jsxlate.extractMessageDetails(source.src, {defaultDomain: source.domain});
+            source.domains = source.details.map(function (details) { return details.domain; });
+        } catch (e) {
+            failBuildInFile(filename, e);
+        }
+        return sourcesByFile[filename] = source;
+    });
+}
+
+// The domains of the messages in sources, those in no domain first:
+function domainsOf(sources) {
+    var domains = [];
+    sources.forEach(function (source) {
+        source.domains.forEach(function (domain) {
+            if (domains.indexOf(domain) === -1) {
+                domains.push(domain);
+            }
+        });
+    });
+    var named = domains.filter(function (domain) { return domain; }).sort();
+    if (named.length && named.length === domains.length) {
+        return named;
+    }
+    return [undefined].concat(named);
+}
+
+var translationsByFile = {};
+function translationsFor(translationsFile, domain) {
+    var file = domainFile(translationsFile, domain);
+    if (!translationsByFile[file]) {
+        if (domain && !fs.existsSync(file)) {
+            failBuild(chalk.bold.red("Messages are in the domain " + domain + ", but there is no " + file + "."));
+        }
+        try {
+            translationsByFile[file] = readTranslations(file, {fuzzy: argv.fuzzy});
+        } catch (e) {
+            failBuild(chalk.bold.red("\nError in translations " + file + ":") + "\n" + e.message);
+        }
+    }
+    return translationsByFile[file];
+}
+
+/*
+    Bundle the messages in sources which are in the given domains, each
+    translated from its own file. Messages in a domain are bundled inside
+    "domains", as the runtime expects.
+*/
+function bundleModule(translationsFile, locale, sources, domains) {
+    // String and element messages are kept apart, as in jsxlate's bundles:
+    var bundle = {strings: {}, elements: {}};
+
+    domains.forEach(function (domain) {
+        var messages = bundle;
+        if (domain) {
+            bundle.domains = bundle.domains || {};
+            messages = bundle.domains[domain] = {strings: {}, elements: {}};
+        }
+        var translations = translationsFor(translationsFile, domain);
+        var keysById = {};
+        sources.forEach(function (source) {
+            try {
+                // Messages of different files may have the same hashed id:
+                source.details.forEach(function (details) {
+                    if (details.domain === domain) {
+                        jsxlate.claimMessageId(keysById, details.id,
+                            jsxlate.translationKey(details.message, details.context));
+                    }
+                });
+                var translationsForFile = jsxlate.translateMessagesToBundle(source.src, translations, {
+                    locale: locale,
+                    data: argv.f === 'json',
+                    domain: domain,
+                    defaultDomain: source.domain
+                });
+            } catch (e) {
+                failBuildInFile(source.filename, e);
+            }
+            ['strings', 'elements'].forEach(function (kind) {
+                Object.keys(translationsForFile[kind]).forEach(function (message) {
+                    messages[kind][message] = translationsForFile[kind][message];
+                });
+            });
+        });
+    });
+
+    if (argv.f === 'json') {
+        return JSON.stringify(bundle, null, 2) + '\n';
+    }
+
+    return (
+        'var React = require("react");\nmodule.exports = '
+        + formatBundle(bundle, '')
+        + ';\n'
+    );
+}
+
+function formatBundle(bundle, indent) {
+    var entries = ['strings', 'elements'].map(function (kind) {
+        var bundleEntries = Object.keys(bundle[kind]).map(function (message) {
+            return "\n" + indent + "\t\t" + JSON.stringify(message) + ': ' + bundle[kind][message]
+        });
+        return "\n" + indent + "\t" + kind + ': {' + bundleEntries + '\n' + indent + '\t}';
+    });
+    if (bundle.domains) {
+        var domainEntries = Object.keys(bundle.domains).map(function (domain) {
+            return "\n" + indent + "\t\t" + JSON.stringify(domain) + ': '
+                + formatBundle(bundle.domains[domain], indent + '\t\t');
+        });
+        entries.push("\n" + indent + "\tdomains: {" + domainEntries + '\n' + indent + '\t}');
+    }
+    return '{' + entries + '\n' + indent + '}';
+}
+
+
+/*
+    The chunks to bundle separately with --split, each {name, sources}.
+*/
+function chunks() {
+    if (projectConfig.chunks) {
+        return Object.keys(projectConfig.chunks).map(function (name) {
+            return {name: name, sources: readSources([].concat(projectConfig.chunks[name]))};
+        });
+    }
     try {
-        var translationsForFile = jsxlate.translateMessagesToBundle(buffer, translations);
+        var sourceChunks = chunksFromPaths(argv._);
     } catch (e) {
-        console.error(chalk.bold.red("\nError in file " + filename + ":"));
-        console.error(jsxlate.errorMessageForError(e));
-        process.exit(1);
+        exitWithError(e.message);
     }
-    Object.keys(translationsForFile).forEach(function (message) {
-        bundle[message] = translationsForFile[message];
+    return sourceChunks.map(function (chunk) {
+        return {name: chunk.name, sources: readSources(chunk.paths)};
     });
-});
-
+}
 
-var bundleEntries = Object.keys(bundle).map(function (message) {
-    return "\n\t" + JSON.stringify(message) + ': ' + bundle[message]
-});
 
-var bundle = (
-    'var React = require("react");\nmodule.exports = {'
-    + bundleEntries
-    + '\n};\n'
-);
+if (argv.split && !argv.d) {
+    exitWithError("--split can only be used with -d.");
+}
+if (argv.split && projectConfig.chunks && argv._.length) {
+    exitWithError("Chunks are configured, so FILES/DIRECTORIES can't be given with --split.");
+}
+if (argv.split && !projectConfig.chunks && !argv._.length) {
+    exitWithError("No chunks are configured, so FILES/DIRECTORIES must be given.");
+}
+if (argv.watch && !argv.o && !argv.d) {
+    exitWithError("--watch can only be used with -o or -d.");
+}
 
-if (argv.o) {
-    fs.writeFileSync(argv.o, bundle);
+if (argv.d) {
+    if (argv.o || argv.locale) {
+        exitWithError("-o and --locale can't be used with -d, which takes a LOCALE for each -t.");
+    }
+    var bundles = [].concat(argv.t).map(function (t) {
+        var match = /^([^=]+)=(.+)$/.exec(t);
+        if (!match) {
+            exitWithError("With -d, translations must be given as LOCALE=TRANSLATIONS, not " + t);
+        }
+        checkLocale(match[1]);
+        return {locale: match[1], file: match[2]};
+    });
+    var extension = '.' + argv.f;
 } else {
-    console.log(bundle);
-}
\ No newline at end of file
+    if (Array.isArray(argv.t)) {
+        exitWithError("Only one -t can be given without -d.");
+    }
+    if (argv.locale) {
+        checkLocale(argv.locale);
+    }
+}
+
+// What was last written to each file, so --watch only rewrites those which change:
+var written = {};
+
+function writeFile(filename, contents) {
+    if (written[filename] !== contents) {
+        fs.writeFileSync(filename, contents);
+        written[filename] = contents;
+        if (argv.watch) {
+            console.error(chalk.green("Wrote " + filename));
+        }
+    }
+}
+
+function bundleDirectory() {
+    if (!fs.existsSync(argv.d)) {
+        fs.mkdirSync(argv.d);
+    }
+
+    if (argv.split) {
+        var sourceChunks = chunks();
+        var layout = splitLayout(bundles.map(function (b) { return b.locale; }),
+            sourceChunks.map(function (chunk) { return chunk.name; }), extension);
+        bundles.forEach(function (b) {
+            var localeDirectory = path.join(argv.d, b.locale);
+            if (!fs.existsSync(localeDirectory)) {
+                fs.mkdirSync(localeDirectory);
+            }
+            sourceChunks.forEach(function (chunk) {
+                writeFile(path.join(argv.d, layout.manifest[chunk.name][b.locale]),
+                    bundleModule(b.file, b.locale, chunk.sources, domainsOf(chunk.sources)));
+            });
+        });
+        writeFile(path.join(argv.d, 'manifest.json'),
+            JSON.stringify(layout.manifest, null, 2) + '\n');
+        var loaders = layout.loaders;
+    } else {
+        var sources = readSources(argv._);
+        var domains = domainsOf(sources);
+        // With domains, each is loaded as a chunk, the messages in no
+        // domain as "default":
+        var loaderEntries = bundles.map(function (b) {
+            var domainEntries = domains.map(function (domain) {
+                var file = domainFile(b.locale + extension, domain);
+                writeFile(path.join(argv.d, file), bundleModule(b.file, b.locale, sources, [domain]));
+                return domains.length === 1
+                    ? importFunction(file)
+                    : "\n\t\t" + JSON.stringify(domain || 'default') + ': ' + importFunction(file);
+            });
+            return "\n\t" + JSON.stringify(b.locale) + ': '
+                + (domains.length === 1 ? domainEntries[0] : '{' + domainEntries + '\n\t}');
+        });
+        var loaders = 'module.exports = {' + loaderEntries + '\n};\n';
+    }
+
+    writeFile(path.join(argv.d, 'loaders.js'), loaders);
+}
+
+function bundleFile() {
+    var sources = readSources(argv._);
+    var domains = domainsOf(sources);
+    if (domains.length > 1 && !argv.o) {
+        exitWithError("Messages are in more than one domain, so -o must be given to write a bundle for each.");
+    }
+
+    domains.forEach(function (domain) {
+        var bundle = bundleModule(argv.t, argv.locale, sources, [domain]);
+        if (argv.o) {
+            writeFile(domainFile(argv.o, domain), bundle);
+        } else {
+            console.log(bundle);
+        }
+    });
+}
+
+function build() {
+    try {
+        if (argv.d) {
+            bundleDirectory();
+        } else {
+            bundleFile();
+        }
+    } catch (e) {
+        if (!(e instanceof BuildError)) {
+            throw e;
+        }
+    }
+}
+
+/*
+    The sources and the translations for every domain in them, to watch.
+*/
+function watchedPaths() {
+    var sourcePaths = argv.split && projectConfig.chunks
+        ? Object.keys(projectConfig.chunks).reduce(function (paths, name) {
+            return paths.concat(projectConfig.chunks[name]);
+        }, [])
+        : argv._;
+    var sources = Object.keys(sourcesByFile).map(function (filename) {
+        return sourcesByFile[filename];
+    });
+    var translationFiles = argv.d
+        ? bundles.map(function (b) { return b.file; })
+        : [argv.t];
+    return domainsOf(sources).reduce(function (paths, domain) {
+        return paths.concat(translationFiles.map(function (file) {
+            return domainFile(file, domain);
+        }));
+    }, sourcePaths);
+}
+
+
+build();
+
+if (argv.watch) {
+    console.error("Watching for changes...");
+    watch(watchedPaths, function (changed) {
+        changed.forEach(function (filename) {
+            delete sourcesByFile[filename];
+            delete translationsByFile[filename];
+        });
+        // Keep watching whatever goes wrong, e.g. a file removed while it is read:
+        try {
+            build();
+        } catch (e) {
+            console.error(chalk.bold.red("\nError:"));
+            console.error(jsxlate.errorMessageForError(e));
+        }
+    });
+}
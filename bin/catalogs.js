@@ -0,0 +1,94 @@
+"use strict";
+
+var jsxlate = require('../lib/jsxlate.js');
+
+/*
+    A catalog for each domain, with those in no domain under "", of the
+    messages in the given paths, from detailsByFile, which has the details
+    of each file's messages as from extractMessageDetails. Each catalog is
+    {messages, entries}, with messages keyed by the key they are translated
+    under, which includes their context if they have one, and mapped to
+    themselves, and entries describing them under the same keys. Throws an
+    InputError if two messages of a catalog have the same id.
+*/
+module.exports.catalogsFor = function catalogsFor(detailsByFile, paths) {
+    var catalogs = {};
+    var keysByIdByDomain = {};
+    paths.forEach(function (path) {
+        (detailsByFile[path] || []).forEach(function (details) {
+            var catalog = catalogs[details.domain || ''] = catalogs[details.domain || ''] || {
+                messages: {},
+                entries: {}
+            };
+            var messages = catalog.messages;
+            var entries = catalog.entries;
+            var key = jsxlate.translationKey(details.message, details.context);
+            keysByIdByDomain[details.domain || ''] = keysByIdByDomain[details.domain || ''] || {};
+            jsxlate.claimMessageId(keysByIdByDomain[details.domain || ''], details.id, key);
+            var entry = entries[key] = entries[key] || {
+                message: details.message,
+                id: details.id,
+                context: details.context,
+                domain: details.domain,
+                kind: details.kind,
+                references: [],
+                locations: [],
+                comments: []
+            };
+            messages[key] = details.message;
+            entry.references.push(path + ':' + details.line);
+            entry.locations.push({file: path, line: details.line, column: details.column});
+            if (details.comment && entry.comments.indexOf(details.comment) === -1) {
+                entry.comments.push(details.comment);
+            }
+        });
+    });
+    if (Object.keys(catalogs).length === 0) {
+        catalogs[''] = {messages: {}, entries: {}};
+    }
+    return catalogs;
+};
+
+/*
+    What -f details writes for a catalog's entries: for each key, the
+    message's runtime id, context, domain, kind, translator comments and
+    every place it is used.
+*/
+module.exports.details = function details(entries) {
+    return Object.keys(entries).reduce(function (result, key) {
+        result[key] = {
+            message: entries[key].message,
+            id: entries[key].id,
+            context: entries[key].context,
+            domain: entries[key].domain,
+            kind: entries[key].kind,
+            comments: entries[key].comments,
+            locations: entries[key].locations
+        };
+        return result;
+    }, {});
+};
+
+/*
+    Bring detailsByFile up to date with the files which changed, as
+    reported by watch, given the paths being extracted now: files no longer
+    among them are forgotten, and the others are extracted again with
+    extract(path), which returns their details. A file which can't be
+    extracted keeps the details it had, so its messages aren't lost while
+    it is being edited. Return the errors, as [{path, error}].
+*/
+module.exports.extractChanged = function extractChanged(detailsByFile, changed, paths, extract) {
+    var errors = [];
+    changed.forEach(function (path) {
+        if (paths.indexOf(path) === -1) {
+            delete detailsByFile[path];
+            return;
+        }
+        try {
+            detailsByFile[path] = extract(path);
+        } catch (e) {
+            errors.push({path: path, error: e});
+        }
+    });
+    return errors;
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+var path = require('path');
+
+/*
+    The chunks for bundle-messages --split when none are configured: each
+    of FILES/DIRECTORIES is a chunk named after it, so src/shop and
+    src/shop.js are both "shop". Returns them as {name, paths}, throwing if
+    two would have the same name.
+*/
+module.exports.chunksFromPaths = function chunksFromPaths(paths) {
+    var pathsByName = {};
+    return paths.map(function (sourcePath) {
+        var name = path.basename(sourcePath, path.extname(sourcePath));
+        if (pathsByName[name]) {
+            throw new Error("Chunks for " + pathsByName[name] + " and " + sourcePath + " would both be named "
+                + name + "; configure \"chunks\" to name them.");
+        }
+        pathsByName[name] = sourcePath;
+        return {name: name, paths: [sourcePath]};
+    });
+};
+
+function importFunction(file) {
+    return 'function () { return import(' + JSON.stringify('./' + file) + '); }';
+}
+module.exports.importFunction = importFunction;
+
+/*
+    Where bundle-messages --split writes the bundle of each chunk for each
+    locale, relative to DIRECTORY: LOCALE/CHUNK.js, or .json for
+    extension ".json". Returns {manifest, loaders}, where manifest maps
+    each chunk and locale to its bundle, as written to manifest.json, and
+    loaders is the source of loaders.js, for loadChunk.
+*/
+module.exports.splitLayout = function splitLayout(locales, chunkNames, extension) {
+    var manifest = {};
+    chunkNames.forEach(function (name) {
+        manifest[name] = {};
+        locales.forEach(function (locale) {
+            manifest[name][locale] = locale + '/' + name + extension;
+        });
+    });
+    var loaderEntries = locales.map(function (locale) {
+        var chunkEntries = chunkNames.map(function (name) {
+            return "\n\t\t" + JSON.stringify(name) + ': ' + importFunction(manifest[name][locale]);
+        });
+        return "\n\t" + JSON.stringify(locale) + ': {' + chunkEntries + '\n\t}';
+    });
+    return {
+        manifest: manifest,
+        loaders: 'module.exports = {' + loaderEntries + '\n};\n'
+    };
+};
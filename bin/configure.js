@@ -0,0 +1,34 @@
+"use strict";
+
+var config = require('../lib/config.js');
+var jsxlate = require('../lib/jsxlate.js');
+
+// minimist gives a string for a single flag and an array for repeated
+// flags; either may also be comma-separated.
+function listOption(value) {
+    return [].concat(value).reduce(function(list, v) {
+        return list.concat(String(v).split(','));
+    }, []);
+}
+
+/*
+    Apply the project configuration, from --config FILE or else the nearest
+    .jsxlaterc or jsxlate.config.js, and then the options common to every CLI:
+        --string-marker NAME[,NAME...]
+        --element-marker NAME[,NAME...]
+    Returns the project configuration, for options only the CLIs use.
+*/
+module.exports = function configure(argv) {
+    var projectConfig = argv.config ? config.read(argv.config) : config.load();
+    jsxlate.configure(projectConfig);
+
+    var markers = {};
+    if (argv['string-marker']) {
+        markers.string = listOption(argv['string-marker']);
+    }
+    if (argv['element-marker']) {
+        markers.element = listOption(argv['element-marker']);
+    }
+    jsxlate.setMarkers(markers);
+    return projectConfig;
+};
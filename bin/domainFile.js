@@ -0,0 +1,16 @@
+"use strict";
+
+var path = require('path');
+
+/*
+    The file for the messages of a domain, given the file for those in no
+    domain: messages-fr.json for no domain, messages-fr.admin.json for the
+    "admin" domain.
+*/
+module.exports = function domainFile(filename, domain) {
+    if (!domain) {
+        return filename;
+    }
+    var extension = path.extname(filename);
+    return filename.slice(0, filename.length - extension.length) + '.' + domain + extension;
+};
@@ -2,16 +2,31 @@
 "use strict";
 
 function showHelpAndExit() {
-    console.log("Usage: extract-messages [-m EXISTING] [-o OUTPUT] ...FILES/DIRECTORIES");
+    console.log("Usage: extract-messages [-m EXISTING] [-o OUTPUT] [-f FORMAT] ...FILES/DIRECTORIES");
     console.log("Prints a JSON document with messages in FILES/DIRECTORIES mapped to themselves.");
-    console.log("If -m is passed, merges with EXISTING translations.")
+    console.log("If -m is passed, merges with EXISTING translations. Messages in EXISTING that are no longer")
+    console.log("in the source are kept under \"#obsolete\" with --keep-obsolete (the default) or removed with --prune.")
     console.log("If -o is passed, writes to OUTPUT instead of stdout.")
+    console.log("If -f pot is passed, prints a gettext template with source references instead.")
+    console.log("If -f xliff or -f xliff2 is passed, prints an XLIFF 1.2 or 2.0 file instead,")
+    console.log("whose source language can be set with --source-language (default en).")
+    console.log("If -f details is passed, prints JSON with each message's runtime id, context, kind, translator comments")
+    console.log("and the file, line and column of every place it is used.")
+    console.log("Messages in a domain, given by i18n-domain or by \"domains\" in the configuration, are")
+    console.log("written to a catalog of their own, e.g. messages.admin.json for \"admin\" given")
+    console.log("-o messages.json, and merged with the EXISTING file for the domain, if there is one.")
+    console.log("If --watch is passed with -o, keeps running, re-extracting changed files and rewriting")
+    console.log("OUTPUT whenever it changes.")
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
     process.exit();
 }
 
 var argv = require('minimist')(process.argv.slice(2), {
-    string: 'moh',
-    alias: {m: 'merge', o: 'output', h: 'help'}
+    string: 'mohf',
+    boolean: ['prune', 'keep-obsolete', 'watch'],
+    alias: {m: 'merge', o: 'output', h: 'help', f: 'format'},
+    default: {f: 'json'}
 });
 
 if (argv._.length === 0 || argv.h) {
@@ -21,37 +36,187 @@ if (argv._.length === 0 || argv.h) {
 var chalk = require('chalk');
 var fs = require('fs');
 
+var catalogDetails = require('./catalogs').details;
+var catalogsFor = require('./catalogs').catalogsFor;
+var config = require('../lib/config.js');
+var configure = require('./configure');
+var domainFile = require('./domainFile');
+var extractChanged = require('./catalogs').extractChanged;
 var filesFromMixedPaths = require('./filesFromMixedPaths');
 var jsxlate = require('../lib/jsxlate.js');
+var po = require('../lib/po.js');
+var watch = require('./watch');
+var xliff = require('../lib/xliff.js');
 
-var paths = filesFromMixedPaths(argv._);
-var messages = {};
+var projectConfig = configure(argv);
+
+if (['json', 'pot', 'xliff', 'xliff2', 'details'].indexOf(argv.f) === -1) {
+    console.error(chalk.bold.red("Unknown format: " + argv.f));
+    process.exit(1);
+}
+if (argv.f !== 'json' && argv.m) {
+    console.error(chalk.bold.red("Templates have no translations to merge; -m can only be used with JSON."));
+    process.exit(1);
+}
+if (argv.prune && argv['keep-obsolete']) {
+    console.error(chalk.bold.red("Only one of --prune and --keep-obsolete can be given."));
+    process.exit(1);
+}
+if (argv.watch && !argv.o) {
+    console.error(chalk.bold.red("--watch can only be used with -o."));
+    process.exit(1);
+}
+
+// The details of the messages in each file, as from extractMessageDetails:
+var detailsByFile = {};
+
+function extractFile(path) {
+    return jsxlate.extractMessageDetails(fs.readFileSync(path, "utf8"), {
+        defaultDomain: config.domainForFile(projectConfig, path)
+    });
+}
+
+/*
+    Extract the messages in the files which changed. With --watch, an error
+    is reported and the messages last extracted from the file are kept,
+    until it is fixed.
+*/
+function extractFiles(changed, paths) {
+    var errors = extractChanged(detailsByFile, changed, paths, extractFile);
+    errors.forEach(function (e) {
+        console.error(chalk.bold.red("\nError in file " + e.path + ":"));
+        console.error(jsxlate.errorMessageForError(e.error));
+    });
+    if (errors.length && !argv.watch) {
+        process.exit(1);
+    }
+}
+
+/*
+    Merge a domain's messages with the EXISTING translations for it,
+    returning the translations and the lines reporting what was added and
+    what is obsolete.
+*/
+function mergeExisting(domain, messages) {
+    var existingFile = domainFile(argv.m, domain);
+    // A domain new to this extraction starts without translations:
+    var existing = domain && !fs.existsSync(existingFile)
+        ? {}
+        : JSON.parse(fs.readFileSync(existingFile, 'utf-8'));
+    var merged = jsxlate.mergeTranslations(messages, existing, {prune: argv.prune});
 
-paths.forEach(function (path) {
-    var buffer = fs.readFileSync(path, "utf8");
+    var report = [(domain ? domain + ": " : "") + merged.added.length + " added, " +
+        merged.restored.length + " restored, " +
+        merged.obsolete.length + (argv.prune ? " removed, " : " obsolete kept, ") +
+        merged.unchanged.length + " unchanged."];
+    merged.restored.forEach(function (k) {
+        report.push(chalk.green("  restored: " + JSON.stringify(k)));
+    });
+    merged.obsolete.forEach(function (k) {
+        report.push(chalk.yellow((argv.prune ? "  removed: " : "  obsolete: ") + JSON.stringify(k)));
+    });
+    if (merged.obsolete.length && !argv.prune && !argv['keep-obsolete']) {
+        report.push("Pass --prune to remove obsolete messages.");
+    }
+    return {translations: merged.translations, report: report};
+}
+
+function formatCatalog(messages, entries) {
+    if (argv.f === 'pot') {
+        return po.formatPo(Object.keys(entries).map(function (key) {
+            return entries[key];
+        }));
+    } else if (argv.f === 'xliff' || argv.f === 'xliff2') {
+        return xliff.formatXliff(Object.keys(entries).map(function (key) {
+            return entries[key];
+        }), {
+            version: argv.f === 'xliff' ? '1.2' : '2.0',
+            sourceLanguage: argv['source-language']
+        });
+    } else if (argv.f === 'details') {
+        return JSON.stringify(catalogDetails(entries), null, 2);
+    } else {
+        return JSON.stringify(messages, null, 2);
+    }
+}
+
+// What was last written to each OUTPUT, so --watch only rewrites it on a change:
+var written = {};
+
+function writeCatalogs(paths) {
     try {
-        var messagesInFile = jsxlate.extractMessages(buffer);
+        var catalogs = catalogsFor(detailsByFile, paths);
     } catch (e) {
-        console.error(chalk.bold.red("\nError in file " + path + ":"));
+        // Messages in different files with the same id:
+        console.error(chalk.bold.red("\nError:"));
         console.error(jsxlate.errorMessageForError(e));
+        if (!argv.watch) {
+            process.exit(1);
+        }
+        return;
+    }
+    // "" sorts first, so the catalog of messages in no domain is written first:
+    var domains = Object.keys(catalogs).sort();
+    if (domains.length > 1 && !argv.o) {
+        console.error(chalk.bold.red("Messages are in more than one domain, so -o must be given to write a catalog for each."));
         process.exit(1);
     }
-    messagesInFile.forEach(function (message) {
-        messages[message] = message;
-    })
-});
 
-if (argv.m) {
-    var existing = JSON.parse(fs.readFileSync(argv.m, 'utf-8'));
-    Object.keys(existing).forEach(function(k) {
-        messages[k] = existing[k];
+    domains.forEach(function (domain) {
+        var messages = catalogs[domain].messages;
+        var report = [];
+        if (argv.m) {
+            try {
+                var merged = mergeExisting(domain, messages);
+            } catch (e) {
+                console.error(chalk.bold.red("\nError merging " + domainFile(argv.m, domain) + ":"));
+                console.error(jsxlate.errorMessageForError(e));
+                if (!argv.watch) {
+                    process.exit(1);
+                }
+                return;
+            }
+            messages = merged.translations;
+            report = merged.report;
+        }
+        var output = formatCatalog(messages, catalogs[domain].entries);
+
+        if (!argv.o) {
+            report.forEach(function (line) { console.error(line); });
+            console.log(output);
+            return;
+        }
+        var file = domainFile(argv.o, domain);
+        if (written[file] !== output) {
+            report.forEach(function (line) { console.error(line); });
+            fs.writeFileSync(file, output);
+            written[file] = output;
+            if (argv.watch) {
+                console.error(chalk.green("Wrote " + file));
+            }
+        }
     });
 }
 
-var output = JSON.stringify(messages, null, 2);
 
-if (argv.o) {
-    fs.writeFileSync(argv.o, output);
-} else {
-    console.log(output);
+var paths = filesFromMixedPaths(argv._);
+extractFiles(paths, paths);
+writeCatalogs(paths);
+
+if (argv.watch) {
+    console.error("Watching for changes...");
+    watch(argv._, function (changed) {
+        // Keep watching whatever goes wrong. A path given which has been
+        // removed has no files, until it comes back:
+        try {
+            paths = filesFromMixedPaths(argv._.filter(function (p) {
+                return fs.existsSync(p);
+            }));
+            extractFiles(changed, paths);
+            writeCatalogs(paths);
+        } catch (e) {
+            console.error(chalk.bold.red("\nError:"));
+            console.error(jsxlate.errorMessageForError(e));
+        }
+    });
 }
@@ -0,0 +1,161 @@
+#! /usr/bin/env node
+"use strict";
+
+function showHelpAndExit() {
+    console.log("Usage: jsxlate-coverage -t [LOCALE=]TRANSLATIONS [-t [LOCALE=]TRANSLATIONS...] [--locale LOCALE] ...FILES/DIRECTORIES");
+    console.log("For each TRANSLATIONS file, reports how many of the messages in FILES/DIRECTORIES");
+    console.log("are translated, which are not, and which translations are invalid.");
+    console.log("TRANSLATIONS may be JSON, a gettext .po file or XLIFF; fuzzy .po")
+    console.log("translations are only counted if --fuzzy is passed.")
+    console.log("If a LOCALE is given for TRANSLATIONS, or by --locale for all of them, every")
+    console.log("Pluralize in the translations must match exactly the plural categories of LOCALE.")
+    console.log("Messages in a domain, given by i18n-domain or by \"domains\" in the configuration,")
+    console.log("are checked against the TRANSLATIONS file for the domain, e.g. messages-fr.admin.json")
+    console.log("for \"admin\", and reported separately.")
+    console.log("Exits with status 1 if any message is untranslated or its translation is invalid.")
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
+    process.exit();
+}
+
+var argv = require('minimist')(process.argv.slice(2), {
+    string: ['t', 'h', 'locale'],
+    boolean: ['fuzzy'],
+    alias: {t: 'translations', h: 'help'}
+});
+
+if (!(argv._.length && argv.t) || argv.h) {
+    showHelpAndExit();
+}
+
+var chalk = require('chalk');
+var fs = require('fs');
+
+var config = require('../lib/config.js');
+var configure = require('./configure');
+var domainFile = require('./domainFile');
+var filesFromMixedPaths = require('./filesFromMixedPaths');
+var readTranslations = require('./readTranslations');
+var jsxlate = require('../lib/jsxlate.js');
+var plurals = require('../lib/plurals.js');
+
+var projectConfig = configure(argv);
+
+
+function exitWithError(message) {
+    console.error(chalk.bold.red(message));
+    process.exit(1);
+}
+
+function exitWithErrorInFile(filename, e) {
+    exitWithError("\nError in file " + filename + ":\n" + jsxlate.errorMessageForError(e));
+}
+
+// Each TRANSLATIONS, with the locale its plurals are checked against, if any:
+var translationsFiles = [].concat(argv.t).map(function (t) {
+    var match = /^([^=]+)=(.+)$/.exec(t);
+    var locale = match ? match[1] : argv.locale;
+    if (locale && !plurals.cardinalCategories(locale)) {
+        exitWithError("No plural rules are known for locale " + locale + ".");
+    }
+    return {file: match ? match[2] : t, locale: locale};
+});
+
+var files = filesFromMixedPaths(argv._);
+var sources = files.map(function (filename) {
+    var source = {
+        filename: filename,
+        src: fs.readFileSync(filename, "utf8"),
+        domain: config.domainForFile(projectConfig, filename)
+    };
+    try {
+        source.domains = jsxlate.extractMessageDetails(source.src, {defaultDomain: source.domain})
+            .map(function (details) { return details.domain; });
+    } catch (e) {
+        exitWithErrorInFile(filename, e);
+    }
+    return source;
+});
+
+// The domains of the messages, those in no domain first, as bundle-messages
+// bundles them:
+var domains = [];
+sources.forEach(function (source) {
+    source.domains.forEach(function (domain) {
+        if (domains.indexOf(domain) === -1) {
+            domains.push(domain);
+        }
+    });
+});
+var named = domains.filter(function (domain) { return domain; }).sort();
+domains = named.length && named.length === domains.length ? named : [undefined].concat(named);
+
+
+var complete = true;
+
+translationsFiles.forEach(function (translationsFile) {
+    domains.forEach(function (domain) {
+        var file = domainFile(translationsFile.file, domain);
+        // A domain's messages are all untranslated until it has a file:
+        var translations = domain && !fs.existsSync(file)
+            ? {}
+            : readTranslations(file, {fuzzy: argv.fuzzy});
+
+        // Each message is counted once, at the first place it is used:
+        var results = {};
+        sources.forEach(function (source) {
+            try {
+                var resultsForFile = jsxlate.checkTranslations(source.src, translations, {
+                    locale: translationsFile.locale,
+                    domain: domain,
+                    defaultDomain: source.domain
+                });
+            } catch (e) {
+                exitWithErrorInFile(source.filename, e);
+            }
+            resultsForFile.forEach(function (result) {
+                if (!results[result.message]) {
+                    result.location = source.filename + ':' + result.line;
+                    results[result.message] = result;
+                }
+            });
+        });
+
+        var messages = Object.keys(results);
+        function withStatus(status) {
+            return messages.filter(function (message) {
+                return results[message].status === status;
+            });
+        }
+        var translated = withStatus('translated');
+        var missing = withStatus('missing');
+        var invalid = withStatus('invalid');
+        var percentage = messages.length
+            ? Math.floor(100 * translated.length / messages.length)
+            : 100;
+        if (missing.length || invalid.length) {
+            complete = false;
+        }
+
+        var color = translated.length === messages.length ? chalk.bold.green : chalk.bold.yellow;
+        console.log(color(file + ": " + translated.length + " of " +
+            messages.length + " messages translated (" + percentage + "%)"));
+        if (missing.length) {
+            console.log("  Untranslated:");
+            missing.forEach(function (message) {
+                console.log("    " + results[message].location + ": " + JSON.stringify(message));
+            });
+        }
+        if (invalid.length) {
+            console.log(chalk.red("  Invalid:"));
+            invalid.forEach(function (message) {
+                console.log("    " + results[message].location + ": " + JSON.stringify(message));
+                console.log(chalk.red("      " + results[message].error));
+            });
+        }
+    });
+});
+
+if (!complete) {
+    process.exit(1);
+}
@@ -5,11 +5,14 @@ var chalk = require('chalk');
 var fs = require('fs');
 
 var jsxlate = require('../lib/jsxlate');
+var configure = require('./configure');
 var filesFromMixedPaths = require('./filesFromMixedPaths');
 
 function showHelpAndExit() {
     console.log("Usage: i18n-lint ...FILES/DIRECTORIES");
     console.log("Looks through FILES/DIRECTORIES for strings which should be wrapped in <I18N> tags.");
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
     process.exit();
 }
 
@@ -22,6 +25,8 @@ if (argv._.length === 0 || argv.h) {
     showHelpAndExit();
 }
 
+configure(argv);
+
 var paths = filesFromMixedPaths(argv._, {ignore: argv.I});
 
 paths.forEach(function(path) {
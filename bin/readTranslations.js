@@ -0,0 +1,26 @@
+"use strict";
+
+var path = require('path');
+var rw = require('rw');
+
+var jsxlate = require('../lib/jsxlate.js');
+var po = require('../lib/po.js');
+var xliff = require('../lib/xliff.js');
+
+/*
+    Read a translations dictionary from a JSON file, a gettext .po file
+    or an XLIFF .xlf/.xliff file. Fuzzy PO translations are only used if
+    options.fuzzy is set, and obsolete JSON translations, as kept by
+    extract-messages -m, never are.
+*/
+module.exports = function readTranslations(filename, options) {
+    var contents = rw.readFileSync(filename, "utf8");
+    var extension = path.extname(filename);
+    if (extension === '.po') {
+        return po.translationsFromPo(contents, options);
+    } else if (extension === '.xlf' || extension === '.xliff') {
+        return xliff.translationsFromXliff(contents);
+    } else {
+        return jsxlate.currentTranslations(JSON.parse(contents));
+    }
+};
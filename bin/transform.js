@@ -2,26 +2,35 @@
 "use strict";
 
 function showHelpAndExit() {
-    console.log("Usage: transform");
+    console.log("Usage: transform [--domain DOMAIN]");
     console.log("Transforms <I18N> nodes for translation. Reads/writes to stdin/out.");
+    console.log("If --domain is passed, messages without an i18n-domain of their own are in DOMAIN.");
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
     process.exit();
 }
 
-if (process.argv.length != 2
-    || ~process.argv.indexOf("-h")
-    || ~process.argv.indexOf("--help")) {
+var argv = require('minimist')(process.argv.slice(2), {
+    string: ['domain'],
+    alias: {h: 'help'}
+});
+
+if (argv._.length || argv.h) {
     showHelpAndExit();
 }
 
 var rw = require('rw');
 
+var configure = require('./configure');
 var jsxlate = require('../lib/jsxlate.js');
 
+configure(argv);
+
 
 var input = rw.readFileSync("/dev/stdin", "utf8");
 
 try {
-    console.log(jsxlate.transformMessageNodes(input));
+    console.log(jsxlate.transformMessageNodes(input, {defaultDomain: argv.domain}));
 } catch (e) {
     console.error(jsxlate.errorMessageForError(e));
     process.exit(1);
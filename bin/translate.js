@@ -5,23 +5,32 @@ function showHelpAndExit() {
     console.log("Usage: translate -t TRANSLATIONS");
     console.log("Given a TRANSLATIONS file (output by extract-messages and");
     console.log("suitably translated), translate JSX from stdin to stdout.");
+    console.log("TRANSLATIONS may be JSON, a gettext .po file or XLIFF; fuzzy .po");
+    console.log("translations are only used if --fuzzy is passed.");
+    console.log("Reads .jsxlaterc or jsxlate.config.js, or the file given by --config.");
+    console.log("Marker names can be set with --string-marker and --element-marker.");
     process.exit();
 }
 
-if (process.argv.length != 4
-    || process.argv[2] != "-t"
-    || ~process.argv.indexOf("-h")
-    || ~process.argv.indexOf("--help")) {
+var argv = require('minimist')(process.argv.slice(2), {
+    string: 't',
+    alias: {t: 'translations', h: 'help'}
+});
+
+if (argv._.length || !argv.t || argv.h) {
     showHelpAndExit();
 }
 
 var rw = require('rw');
 
+var configure = require('./configure');
+var readTranslations = require('./readTranslations');
 var jsxlate = require('../lib/jsxlate.js');
 
+configure(argv);
+
 
-var translationsFilename = process.argv[3];
-var translations = JSON.parse(rw.readFileSync(translationsFilename, "utf8"));
+var translations = readTranslations(argv.t, {fuzzy: argv.fuzzy});
 
 var input = rw.readFileSync("/dev/stdin", "utf8");
 
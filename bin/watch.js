@@ -0,0 +1,100 @@
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+/*
+    Watch FILES/DIRECTORIES, as given to the CLIs, and call
+    onChange(filenames) with the files added, changed or removed since
+    the last call. Directories are watched with everything in them,
+    including directories created later; a single file is watched through
+    its directory, so editors which replace the file on save are seen.
+    Bursts of changes, like a save or a checkout, are reported together.
+    paths may also be a function returning them, which is called again
+    before every scan, for paths that depend on what was found.
+    Returns an object whose close() stops watching.
+*/
+module.exports = function watch(paths, onChange) {
+    var watchers = {};
+    var mtimes = {};
+    var timeout = null;
+    var closed = false;
+
+    function watchDirectory(directory) {
+        if (watchers[directory]) {
+            return;
+        }
+        watchers[directory] = fs.watch(directory, scheduleScan);
+        watchers[directory].on('error', function () {
+            // The directory was removed; its files are reported by the next scan.
+            watchers[directory].close();
+            delete watchers[directory];
+            scheduleScan();
+        });
+    }
+
+    function record(filename, stats) {
+        if (stats.isDirectory()) {
+            watchDirectory(filename);
+            fs.readdirSync(filename).forEach(function (name) {
+                var child = path.join(filename, name);
+                try {
+                    record(child, fs.statSync(child));
+                } catch (e) {
+                    // Removed while we were scanning; the next scan will see it.
+                }
+            });
+        } else if (stats.isFile()) {
+            mtimes[filename] = stats.mtime.getTime();
+        }
+    }
+
+    function scan() {
+        mtimes = {};
+        (typeof paths === 'function' ? paths() : paths).forEach(function (p) {
+            try {
+                var stats = fs.statSync(p);
+            } catch (e) {
+                // Not there yet, or removed; watch for it to appear.
+                watchDirectory(path.dirname(p));
+                return;
+            }
+            if (stats.isFile()) {
+                watchDirectory(path.dirname(p));
+            }
+            record(p, stats);
+        });
+    }
+
+    function scheduleScan() {
+        if (closed) {
+            return;
+        }
+        clearTimeout(timeout);
+        timeout = setTimeout(function () {
+            var before = mtimes;
+            scan();
+            var changed = Object.keys(mtimes).filter(function (filename) {
+                return before[filename] !== mtimes[filename];
+            }).concat(Object.keys(before).filter(function (filename) {
+                return !mtimes.hasOwnProperty(filename);
+            }));
+            if (changed.length) {
+                onChange(changed);
+            }
+        }, 100);
+    }
+
+    scan();
+
+    return {
+        close: function () {
+            closed = true;
+            clearTimeout(timeout);
+            Object.keys(watchers).forEach(function (directory) {
+                watchers[directory].close();
+            });
+            watchers = {};
+        }
+    };
+};
@@ -1,8 +1,12 @@
 #! /bin/bash
 echo "* Building jsxlate"
 mkdir -p ./lib
-babel=$(npm bin)/babel
+babel=./node_modules/.bin/babel
 $babel ./jsxlate.js > lib/jsxlate.js
 $babel ./components.jsx > lib/components.jsx
+$babel ./plurals.js > lib/plurals.js
 $babel ./cache.js > lib/cache.js
+$babel ./config.js > lib/config.js
+$babel ./po.js > lib/po.js
+$babel ./xliff.js > lib/xliff.js
 echo "* Built."
@@ -1,46 +1,430 @@
 import React from 'react';
+import {cardinalRule, ordinalRule} from './plurals';
 
 
-// TODO: default locale should be empty, not fake-English
 var state = {
-    messages: {},
-    locale: {name: 'en', pluralFn: (c) => c === 1 ? 'one' : 'other'}
+    messages: mergeMessages(),
+    locale: null,
+    loading: null,
+    // Names of the chunks loaded with loadChunk, and the messages of those
+    // which arrive while loadLocale is loading the locale they are for:
+    chunks: [],
+    pendingMessages: mergeMessages()
 };
 
+var listeners = [];
 
+
+/*
+    Call listener whenever the messages or locale change. Returns a function
+    which unsubscribes it. Mounted I18N and Pluralize components
+    subscribe themselves, so they re-render at once when you switch locale;
+    anything else that calls i18n() can subscribe to do the same.
+*/
+function subscribe(listener) {
+    listeners.push(listener);
+    return function unsubscribe() {
+        let index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+}
+
+function notify() {
+    // A listener may unsubscribe others as it runs, e.g. by unmounting them:
+    listeners.slice().forEach(listener => {
+        if (listeners.indexOf(listener) !== -1) {
+            listener();
+        }
+    });
+}
+
+
+/*
+    Bundles keep string messages, looked up by i18n(), apart from element
+    messages, looked up by <I18N>, so the same text can be both:
+        {strings: {...}, elements: {...}}
+    The bundle of a domain, e.g. "admin", has the same form inside domains:
+        {domains: {admin: {strings: {...}, elements: {...}}}}
+    so it can be added to the others, or loaded as a chunk with loadChunk.
+*/
 function setMessages(messages) {
-    state.messages = messages;
+    state.messages = mergeMessages(messages);
+    notify();
+}
+
+// Add messages to those already set, e.g. from the bundle of one chunk.
+function addMessages(messages) {
+    state.messages = mergeMessages(state.messages, messages);
+    notify();
 }
 
+function mergeMessages(...bundles) {
+    bundles = bundles.map(upgradeBundle);
+    let domains = {};
+    bundles.forEach(b => Object.keys(b && b.domains || {}).forEach(domain => {
+        domains[domain] = mergeMessages(domains[domain], b.domains[domain]);
+    }));
+    return {
+        strings: Object.assign({}, ...bundles.map(b => b && b.strings)),
+        elements: Object.assign({}, ...bundles.map(b => b && b.elements)),
+        domains
+    };
+}
+
+/*
+    Bundles from before strings and elements were kept apart were keyed by
+    message, with the renderers of both together. They are still accepted,
+    as both strings and elements, with a warning to make them again.
+*/
+function upgradeBundle(bundle) {
+    let flat = Object.keys(bundle || {})
+        .some(key => ['strings', 'elements', 'domains'].indexOf(key) === -1);
+    if (!flat) {
+        return bundle;
+    }
+    console.warn(
+        'jsxlate: bundles keyed by message are deprecated, and should be of the form {strings, elements}. ' +
+        'Make them again with bundle-messages.');
+    return {strings: bundle, elements: bundle};
+}
+
+// The messages of a domain, or those in no domain if it isn't given:
+function messagesInDomain(messages, domain) {
+    return domain ? messages.domains[domain] || mergeMessages() : messages;
+}
+
+/*
+    Set the locale by its tag, e.g. setLocale('pl') or setLocale('pt-BR'),
+    to use the CLDR plural rules for it, or with an object of the form
+    {name, pluralFn, ordinalFn}. Rules missing from the object are looked
+    up by its name. A pluralFn gives the cardinal plural category of a
+    number, and an ordinalFn its ordinal category, as used by
+    <Pluralize type="ordinal">.
+*/
 function setLocale(locale) {
-    state.locale = locale;
+    state.locale = resolveLocale(locale);
+    // A bundle still loading for another locale must not replace this one:
+    state.loading = null;
+    notify();
+}
+
+function resolveLocale(locale) {
+    if (typeof locale === 'string') {
+        locale = {name: locale};
+    }
+    let pluralFn = locale.pluralFn || cardinalRule(locale.name);
+    if (!pluralFn) {
+        throw new Error(`No plural rules are known for locale ${locale.name}; pass a pluralFn.`);
+    }
+    return Object.assign({}, locale, {
+        pluralFn,
+        ordinalFn: locale.ordinalFn || ordinalRule(locale.name)
+    });
+}
+
+setLocale('en');
+
+
+/*
+    Load the bundle for a locale and switch to it, given a map of locale
+    tags to functions which import their bundles, like the loaders.js
+    written by bundle-messages -d:
+
+        loadLocale('fr', {
+            fr: () => import('./i18n/fr.js'),
+            de: () => import('./i18n/de.js')
+        });
+
+    A tag with no loader of its own uses its language's, so 'fr-CA' loads
+    'fr'. Until the bundle arrives, messages keep rendering as they were,
+    which before any bundle is loaded is by their fallbacks; then the
+    locale and messages change together. Returns a promise for the
+    messages. If loadLocale or setLocale is called again before the bundle
+    arrives, only the last call switches locale.
+
+    With the loaders.js written by bundle-messages --split, which maps
+    each locale to loaders for its chunks, the bundles of every chunk
+    loaded so far with loadChunk are loaded for the new locale.
+*/
+function loadLocale(tag, loaders) {
+    let loader = loaderForLocale(loaders, tag);
+    if (!loader) {
+        return Promise.reject(new Error(`No bundle can be loaded for locale ${tag}.`));
+    }
+    let locale;
+    try {
+        locale = resolveLocale(tag);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    state.loading = tag;
+    state.pendingMessages = mergeMessages();
+    notify();
+    let loading = typeof loader === 'function'
+        ? Promise.resolve(loader()).then(bundleMessages)
+        : Promise.all(state.chunks.filter(name => loader[name]).map(name => loader[name]()))
+            .then(bundles => mergeMessages(...bundles.map(bundleMessages)));
+    return loading.then(messages => {
+        if (state.loading === tag) {
+            state.loading = null;
+            state.locale = locale;
+            state.messages = mergeMessages(messages, state.pendingMessages);
+            notify();
+        }
+        return messages;
+    }, error => {
+        if (state.loading === tag) {
+            state.loading = null;
+            notify();
+        }
+        throw error;
+    });
+}
+
+// The tag of the locale being loaded by loadLocale, or null.
+function loadingLocale() {
+    return state.loading;
+}
+
+/*
+    Load the bundle of a chunk for the current locale, given the loaders.js
+    written by bundle-messages --split, and add its messages to those
+    already loaded. Returns a promise for the chunk's messages. A locale
+    without bundles, such as the one the source is written in, has
+    nothing to load.
+*/
+function loadChunk(name, loaders) {
+    if (state.chunks.indexOf(name) === -1) {
+        state.chunks.push(name);
+    }
+    let tag = state.loading || state.locale.name;
+    let loader = loaderForLocale(loaders, tag);
+    if (!loader) {
+        return Promise.resolve({});
+    }
+    if (!loader[name]) {
+        return Promise.reject(new Error(`No bundle can be loaded for chunk ${name} in locale ${tag}.`));
+    }
+    return Promise.resolve(loader[name]()).then(bundle => {
+        let messages = bundleMessages(bundle);
+        if (state.loading === tag) {
+            state.pendingMessages = mergeMessages(state.pendingMessages, messages);
+        } else if (!state.loading && state.locale.name === tag) {
+            addMessages(messages);
+        }
+        // Otherwise another locale has been chosen, and loadLocale loads
+        // the chunk for it.
+        return messages;
+    });
+}
+
+function loaderForLocale(loaders, tag) {
+    while (!loaders[tag] && tag.indexOf('-') !== -1) {
+        tag = tag.slice(0, tag.lastIndexOf('-'));
+    }
+    return loaders[tag];
+}
+
+// Bundles imported as ES modules have their messages as the default export:
+function bundleMessages(bundle) {
+    return bundle && bundle.default || bundle;
+}
+
+
+// Messages with a context are keyed by the context and message joined
+// with "\u0004"; see translationKey in jsxlate.js.
+function messageKey(message, context) {
+    return context ? context + '\u0004' + message : message;
+}
+
+
+// Messages transformed with hashed ids are looked up by options.id, and
+// those in a domain among the messages of options.domain:
+function translate(messages, original, options) {
+    let context = options && options.context;
+    let id = options && options.id;
+    let strings = messagesInDomain(messages, options && options.domain).strings;
+    let translated = strings[id || messageKey(original, context)];
+    if (!translated) {
+        return original;
+    }
+    // Data bundles hold the translated string itself:
+    return typeof translated === 'function' ? translated() : translated;
+}
+
+function i18n(original, options) {
+    return translate(state.messages, original, options);
 }
 
 
-function i18n(original) {
-    let translated = state.messages[original];
-    return translated ? translated() : original;
+/*
+    <I18nProvider locale="cy" messages={bundle}> gives the components
+    inside it their own locale and messages, instead of those set with
+    setLocale and setMessages. Either prop may be left out to use the
+    enclosing provider's, or the global one. The messages are a bundle like
+    those given to setMessages. Use it to render requests in
+    different locales at once on a server, or a preview in a second locale.
+
+    Components of your own can read the provider through React context:
+
+        MyComponent.contextTypes = contextTypes;
+        ...
+        let i18n = this.context.jsxlate.i18n;
+        return <input placeholder={i18n("Search")} />;
+
+    where i18n translates with the provider's messages.
+*/
+var contextTypes = {
+    jsxlate: React.PropTypes.object
+};
+
+// Outside any provider, the global locale and messages, read when they
+// are used so that setLocale and setMessages are seen:
+var globalContext = {
+    get messages() { return state.messages; },
+    get locale() { return state.locale; },
+    i18n
+};
+
+// The locale and messages in effect for a component with this context:
+function current(context) {
+    return (context && context.jsxlate) || globalContext;
+}
+
+class I18nProvider extends React.Component {
+    getChildContext() {
+        let outer = current(this.context);
+        let messages = this.props.messages && mergeMessages(this.props.messages);
+        let locale = this.props.locale && resolveLocale(this.props.locale);
+        // Whatever isn't given is looked up from outer when it is used, so
+        // that it follows setLocale, setMessages and enclosing providers:
+        let jsxlate = {
+            get messages() { return messages || outer.messages; },
+            get locale() { return locale || outer.locale; },
+            i18n: (original, options) => translate(jsxlate.messages, original, options)
+        };
+        return {jsxlate};
+    }
+
+    render() {
+        return React.Children.only(this.props.children);
+    }
+}
+
+I18nProvider.contextTypes = contextTypes;
+I18nProvider.childContextTypes = contextTypes;
+I18nProvider.propTypes = {
+    locale: React.PropTypes.oneOfType([React.PropTypes.string, React.PropTypes.object]),
+    messages: React.PropTypes.object
+};
+
+
+/*
+    Render a message from a data bundle, as written by
+    bundle-messages -f json; see "Data bundles" in jsxlate.js for the
+    format. args are the values of the message's free variables, and
+    context is what `this` refers to in it.
+*/
+function renderData(data, context, args) {
+    let scope = {this: context};
+    data.args.forEach((name, i) => {
+        scope[name] = args[i];
+    });
+    return buildNode(data.element, scope);
+}
+
+function buildNode(node, scope) {
+    if (typeof node === 'string') {
+        return node;
+    }
+    if ('expression' in node) {
+        return evaluate(node.expression, scope);
+    }
+    let type = typeof node.type === 'string' ? node.type : evaluate(node.type, scope);
+    let props = {};
+    Object.keys(node.props).forEach(name => {
+        props[name] = evaluate(node.props[name], scope);
+    });
+    return React.createElement(type, props,
+        ...node.children.map(child => buildNode(child, scope)));
+}
+
+function evaluate(expression, scope) {
+    if ('literal' in expression) {
+        return expression.literal;
+    } else if (expression.path) {
+        return expression.path.slice(1).reduce(
+            (value, name) => value == null ? undefined : value[name],
+            scope[expression.path[0]]);
+    } else if (expression.object) {
+        let object = {};
+        Object.keys(expression.object).forEach(key => {
+            object[key] = evaluate(expression.object[key], scope);
+        });
+        return object;
+    } else if (expression.array) {
+        return expression.array.map(element => evaluate(element, scope));
+    }
+    throw new Error("Unknown expression in message data: " + JSON.stringify(expression));
+}
+
+
+// Base class for components whose output depends on the messages or
+// locale, which re-renders them when either changes.
+class Localized extends React.Component {
+    componentDidMount() {
+        this.unsubscribe = subscribe(() => this.forceUpdate());
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe();
+    }
 }
 
 
-class I18N extends React.Component {
+// Renders the translation of its message, or the fallback if there is
+// none. Both are elements, rendered as a <span> or as the marker's tagName.
+// Translations come from the elements of the bundle, so a string message
+// with the same text can't be rendered instead, and from those of its
+// domain prop if the message is in a domain.
+// The props of I18N which are for it, not the element it renders as:
+const I18N_PROPS = ['message', 'context', 'args', 'fallback', 'domain', 'tagName', 'children'];
+
+class I18N extends Localized {
     render() {
-        let renderer = state.messages[this.props.message];
+        let messages = messagesInDomain(current(this.context).messages, this.props.domain);
+        let renderer = messages.elements[this.props.message];
         if (renderer) {
-            let rendered = renderer.apply(this.props.context, this.props.args);
-            // TODO: this check would be unnecessary if collisions between
-            // source and react child strings were impossible.
-            if (Object.prototype.toString.call(rendered) === '[object String]') {
-                return <span>{rendered}</span>;
-            } else {
-                return rendered;
-            }
+            let rendered = typeof renderer === 'function'
+                ? renderer.apply(this.props.context, this.props.args)
+                : renderData(renderer, this.props.context, this.props.args);
+            return this.asMarker(rendered);
         }
         return this.props.fallback.call(this.props.context);
     }
+
+    // Translations are shared by every marker with the same message, so
+    // they render as a <span>, which becomes this marker's tagName with
+    // its other attributes:
+    asMarker(rendered) {
+        let props = {};
+        Object.keys(this.props).forEach(name => {
+            if (I18N_PROPS.indexOf(name) === -1) {
+                props[name] = this.props[name];
+            }
+        });
+        // A string, from a deprecated bundle keyed by message, is the child:
+        let children = typeof rendered === 'string' ? rendered : rendered.props.children;
+        return React.createElement(this.props.tagName || 'span', props, ...[].concat(children));
+    }
 }
 
 
+I18N.contextTypes = contextTypes;
+
+
 class Match extends React.Component {
     render() {
         return <span>{this.props.children}</span>;
@@ -53,7 +437,7 @@ Match.propTypes = {
 };
 
 
-class Pluralize extends React.Component {
+class Pluralize extends Localized {
 
     classifyMatch(match) {
         if (match && match.startsWith('=')) {
@@ -75,7 +459,13 @@ class Pluralize extends React.Component {
         React.Children.forEach(this.props.children, c => children.push(c));
         children = children.reduce(this.classifyMatches.bind(this), {});
 
-        let form = state.locale.pluralFn(this.props.on);
+        let locale = current(this.context).locale;
+        let ordinal = this.props.type === 'ordinal';
+        let pluralFn = ordinal ? locale.ordinalFn : locale.pluralFn;
+        if (!pluralFn) {
+            throw new Error(`Locale ${locale.name} has no ${ordinal ? 'ordinal' : 'plural'} rule`);
+        }
+        let form = pluralFn(this.props.on);
         let match = children[this.props.on] || children[form];
         if (!match) {
             throw new Error("Missing plural form: " + form);
@@ -85,24 +475,63 @@ class Pluralize extends React.Component {
 }
 
 
+function onlyMatchChildren(props, propName, componentName) {
+    let nonTextChildren = [].concat(props[propName]).filter(c => Object.prototype.toString.call(c) !== '[object String]');
+    let nonMatchChildren = nonTextChildren.filter(c => !c.type._isMatch);
+    if (nonMatchChildren.length) {
+        return new Error(componentName + " given children other than a Match: " + nonMatchChildren.map(c => c.type.displayName || c.type.name || c.type));
+    }
+}
+
+
+Pluralize.contextTypes = contextTypes;
 Pluralize.propTypes = {
     on: React.PropTypes.number,
-    children: (props, propName, componentName) => {
-        let nonTextChildren = props[propName].filter(c => Object.prototype.toString.call(c) !== '[object String]');
-        let nonMatchChildren = nonTextChildren.filter(c => !c.type._isMatch);
-        if (nonMatchChildren.length) {
-            return new Error("Pluralize given children other than a Match: " + nonMatchChildren.map(c => c.type.displayName || c.type.name || c.type));
+    type: React.PropTypes.oneOf(['cardinal', 'ordinal']),
+    children: onlyMatchChildren
+}
+
+
+// Chooses the Match whose `when` is the value of `on`, e.g. a gender,
+// or else the Match for "other", which every Select must have.
+class Select extends React.Component {
+    render() {
+        let children = {};
+        React.Children.forEach(this.props.children, c => {
+            if (c && c.props) {
+                children[c.props.when] = c;
+            }
+        });
+
+        let match = children[this.props.on] || children.other;
+        if (!match) {
+            throw new Error("Select is missing the other form for: " + this.props.on);
         }
+        return match;
     }
 }
 
 
+Select.propTypes = {
+    on: React.PropTypes.string,
+    children: onlyMatchChildren
+}
+
+
 export default {
     i18n,
     I18N,
     setMessages,
+    addMessages,
     setLocale,
+    subscribe,
+    loadLocale,
+    loadingLocale,
+    loadChunk,
+    I18nProvider,
+    contextTypes,
     Pluralize,
     Match,
-    Format: ['Pluralize', 'Match']
+    Select,
+    Format: ['Pluralize', 'Match', 'Select']
 };
@@ -1,10 +1,14 @@
 var translator = require('./lib/jsxlate');
 var components = require('./lib/components.jsx');
 var cache = require('./lib/cache.js');
+var config = require('./lib/config.js');
+
+translator.configure(config.load());
 
 
 module.exports = {
     translator: translator,
     components: components,
-    cache: cache
+    cache: cache,
+    config: config
 };
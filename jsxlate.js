@@ -58,18 +58,158 @@ import {Format} from './components.jsx';
 Error.stackTraceLimit = Infinity;
 
 var babel = require('babel-core');
+var crypto = require('crypto');
 var escodegen = require('escodegen-wallaby');
 var I = require('immutable');
+var plurals = require('./plurals');
 
 /*
     These attributes are shown to translators and may be inserted
-    and modified by translators:
+    and modified by translators. Projects can add to them or replace them
+    per element (see setAllowedAttributes):
 */
-var allowedAttributesByElementName = {
+var defaultAllowedAttributesByElementName = {
     'a': ['href'],
-    'Pluralize': ['on'],
+    'Pluralize': ['on', 'type'],
+    'Select': ['on'],
     'Match': ['when']
 }
+var allowedAttributesByElementName = defaultAllowedAttributesByElementName;
+
+var CONTEXT_SEPARATOR = '\u0004';
+
+/*
+    The names of the message markers. More than one name may be given for
+    each kind of marker, e.g. while migrating from one name to another.
+    Names may be dotted, as in `intl.t("...")` or `<Intl.Message>`.
+*/
+var markers = {
+    string: ['i18n'],
+    element: ['I18N']
+};
+
+/*
+    Replace the string and/or element marker names. Kinds which are
+    not given keep their current names.
+*/
+function setMarkers(newMarkers) {
+    ['string', 'element'].forEach(kind => {
+        if (newMarkers[kind]) {
+            markers[kind] = [].concat(newMarkers[kind]);
+        }
+    });
+}
+module.exports.setMarkers = setMarkers;
+
+module.exports.getMarkers = function getMarkers() {
+    return {
+        string: markers.string.slice(),
+        element: markers.element.slice()
+    };
+};
+
+/*
+    Adjust the default allowed attributes by element or component name.
+    A list of attribute names is added to the defaults for that name, while
+    {replace: [...]} replaces them:
+
+        setAllowedAttributes({
+            'img': ['alt'],
+            'Link': ['to'],
+            'a': {replace: ['href', 'hreflang']}
+        });
+*/
+function setAllowedAttributes(allowed) {
+    allowedAttributesByElementName = Object.keys(allowed).reduce((result, name) => {
+        var entry = allowed[name];
+        if (Array.isArray(entry)) {
+            result[name] = (result[name] || []).concat(entry);
+        } else if (entry && Array.isArray(entry.replace)) {
+            result[name] = entry.replace.slice();
+        } else {
+            throw new Error(`Allowed attributes for ${name} should be a list or {replace: [...]}, not ${JSON.stringify(entry)}`);
+        }
+        return result;
+    }, Object.assign({}, defaultAllowedAttributesByElementName));
+}
+module.exports.setAllowedAttributes = setAllowedAttributes;
+
+/*
+    The syntax in which messages are shown to translators. With 'icu',
+    messages containing <Pluralize> show it in ICU MessageFormat syntax,
+    {count, plural, one {...} other {...}}, rather than as JSX.
+*/
+var messageFormat = 'jsx';
+
+function setMessageFormat(format) {
+    if (format !== 'jsx' && format !== 'icu') {
+        throw new Error(`Unknown message format ${JSON.stringify(format)}; expected "jsx" or "icu".`);
+    }
+    messageFormat = format;
+}
+module.exports.setMessageFormat = setMessageFormat;
+
+/*
+    How messages are identified at runtime, in bundles and in the message
+    prop of transformed markers. With 'message', the default, that is the
+    translation key; with 'hash', it is a short hash of the key, so that
+    long messages aren't repeated in the app and every bundle. Translation
+    files are keyed by the message either way.
+*/
+var messageIds = 'message';
+
+function setMessageIds(ids) {
+    if (ids !== 'message' && ids !== 'hash') {
+        throw new Error(`Unknown message ids ${JSON.stringify(ids)}; expected "message" or "hash".`);
+    }
+    messageIds = ids;
+}
+module.exports.setMessageIds = setMessageIds;
+
+/*
+    Apply a project configuration, as read from .jsxlaterc or
+    jsxlate.config.js by config.js.
+*/
+function configure(config) {
+    if (config.markers) {
+        setMarkers(config.markers);
+    }
+    if (config.allowedAttributes) {
+        setAllowedAttributes(config.allowedAttributes);
+    }
+    if (config.messageFormat) {
+        setMessageFormat(config.messageFormat);
+    }
+    if (config.messageIds) {
+        setMessageIds(config.messageIds);
+    }
+}
+module.exports.configure = configure;
+
+/*
+    Call fn with a configuration applied on top of the current one, and
+    then put the current one back. This is for tools like the Babel plugin,
+    which see files of more than one project and must not carry one
+    project's configuration over to the next.
+*/
+function withConfiguration(config, fn) {
+    var saved = {
+        markers: {string: markers.string, element: markers.element},
+        allowedAttributesByElementName,
+        messageFormat,
+        messageIds
+    };
+    try {
+        configure(config || {});
+        return fn();
+    } finally {
+        markers.string = saved.markers.string;
+        markers.element = saved.markers.element;
+        allowedAttributesByElementName = saved.allowedAttributesByElementName;
+        messageFormat = saved.messageFormat;
+        messageIds = saved.messageIds;
+    }
+}
 
 
 
@@ -91,18 +231,153 @@ var allowedAttributesByElementName = {
     Given a source code string, return an array of message strings.
 */
 module.exports.extractMessages = function (src) {
+    return extractFromSource(src, identity);
+};
+
+/*
+    Given a source code string, return an array with an object for each
+    message describing it and where it occurs:
+        {message, id, kind, comment, context, domain, line, column}
+    where id is the message's runtime id (see setMessageIds), kind is
+    'string' or 'element', and comment, context and domain are the
+    translator comment, message context and domain, if any. Messages
+    without a domain of their own are in options.defaultDomain, the
+    domain of the file they are in. Lines and columns are 1-based.
+*/
+module.exports.extractMessageDetails = function (src, options) {
+    var defaultDomain = options && options.defaultDomain;
+    var keysById = {};
+    return extractFromSource(src, (message, messageAst) => {
+        var id = messageIdForAst(messageAst);
+        claimMessageId(keysById, id, messageKey(messageAst));
+        return {
+            message: message,
+            id: id,
+            kind: isStringMarker(messageAst) ? 'string' : 'element',
+            comment: messageComment(messageAst, src),
+            context: messageContext(messageAst),
+            domain: messageDomain(messageAst, defaultDomain),
+            line: messageAst.getIn(['loc', 'start', 'line']),
+            column: messageAst.getIn(['loc', 'start', 'column']) + 1
+        };
+    });
+};
+
+/*
+    Return the comment for translators given with a message marker, if any:
+        <I18N i18n-comment="Shown on the home page">...</I18N>
+        i18n("Open", "A button which opens the file")
+        i18n("Open", {comment: "A button which opens the file"})
+    or in a comment immediately before either kind of marker:
+        /* i18n: A button which opens the file *\/
+*/
+function messageComment(messageAst, src) {
+    var comment = isStringMarker(messageAst)
+        ? stringMarkerOption(messageAst, 'comment')
+        : attributeWithName(messageAst, 'i18n-comment');
+    return comment || leadingComment(src.slice(0, messageAst.get('start')));
+}
+
+// The body of a /* i18n: ... */ comment at the end of the given source,
+// which may be followed by the } closing a JSX expression container.
+function leadingComment(before) {
+    var end = before.lastIndexOf('*/');
+    if (end === -1 || !/^\*\/\s*\}?\s*$/.test(before.slice(end))) {
+        return undefined;
+    }
+    var body = before.slice(before.lastIndexOf('/*', end) + 2, end);
+    var match = /^\s*i18n:\s*([\s\S]*?)\s*$/.exec(body);
+    return match ? match[1] : undefined;
+}
+
+/*
+    Return the context given with a message marker, if any:
+        <I18N i18n-context="verb">Open</I18N>
+        i18n("Open", {context: "verb"})
+    Identical messages with different contexts are translated separately.
+*/
+function messageContext(messageAst) {
+    return isStringMarker(messageAst)
+        ? stringMarkerOption(messageAst, 'context')
+        : attributeWithName(messageAst, 'i18n-context');
+}
+
+/*
+    Return the domain of a message, given with its marker:
+        <I18N i18n-domain="admin">Users</I18N>
+        i18n("Users", {domain: "admin"})
+    or else the default domain of its file, if any. Each domain has its own
+    translations and bundles, and its messages are looked up apart from
+    those of other domains at runtime.
+*/
+function messageDomain(messageAst, defaultDomain) {
+    var domain = isStringMarker(messageAst)
+        ? stringMarkerOption(messageAst, 'domain')
+        : attributeWithName(messageAst, 'i18n-domain');
+    return domain || defaultDomain;
+}
+
+/*
+    Return the key under which a message is found in translations and
+    bundles: the message itself, or with a context, the context and
+    message joined by "\u0004" as in gettext.
+*/
+function translationKey(message, context) {
+    return context ? context + CONTEXT_SEPARATOR + message : message;
+}
+module.exports.translationKey = translationKey;
+
+function messageKey(messageAst) {
+    return translationKey(extractMessage(messageAst), messageContext(messageAst));
+}
+
+/*
+    Return the id by which a message is looked up at runtime: its
+    translation key, or with setMessageIds('hash'), the first ten hex
+    digits of the key's SHA-1 hash.
+*/
+function messageId(message, context) {
+    var key = translationKey(message, context);
+    return messageIds === 'hash'
+        ? crypto.createHash('sha1').update(key, 'utf8').digest('hex').slice(0, 10)
+        : key;
+}
+module.exports.messageId = messageId;
+
+function messageIdForAst(messageAst) {
+    return messageId(extractMessage(messageAst), messageContext(messageAst));
+}
+
+/*
+    Record in keysById that id is the runtime id of the message with the
+    given translation key, throwing if it is already that of another
+    message, as hashed ids could be. Extraction and bundling use this for
+    the messages of each catalog and bundle, so two messages never get each
+    other's translation.
+*/
+function claimMessageId(keysById, id, key) {
+    if (keysById.hasOwnProperty(id) && keysById[id] !== key) {
+        throw new InputError(
+            `Messages ${JSON.stringify(keysById[id])} and ${JSON.stringify(key)} have the same id ${id}; ` +
+            'give one of them a context to tell them apart.');
+    }
+    keysById[id] = key;
+}
+module.exports.claimMessageId = claimMessageId;
+
+function extractFromSource(src, f) {
     var ast = parse(src);
     return keypathsForMessageNodesInAst(ast)
         .map(keypath => ast.getIn(keypath))
-        .map(message => {
+        .map(messageAst => {
             try {
-                return extractMessage(message);
+                return f(extractMessage(messageAst), messageAst);
             } catch (e) {
-                throw e.set ? e.set('messageAst', message) : e;
+                throw e.set ? e.set('messageAst', messageAst) : e;
             }
         })
         .toJS();
-};
+}
 
 
 /*
@@ -115,7 +390,10 @@ module.exports._extractMessage = extractMessage;
 
 
 function escape(str) {
-    return str.replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return str
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"')
+        .replace(/\u0004/g, '\\u0004');
 }
 
 /*****************************************************************************
@@ -150,6 +428,12 @@ function validateJsxElement(ast) {
             "Element needs a id: " + generateOpening(ast));
     }
 
+    if (isPluralize(ast)) {
+        validatePluralize(ast);
+    } else if (isSelect(ast)) {
+        validateSelect(ast);
+    }
+
     // Disallow direct nesting of message marker tags:
     if (isElementMarker(ast) && ast.get('children').some(isElementMarker)) {
         throw new InputError(
@@ -159,6 +443,58 @@ function validateJsxElement(ast) {
     ast.get('children').forEach(validateMessage);
 }
 
+/*
+    <Pluralize> and <Select> choose one of their <Match> children by its
+    `when`, and must have a Match for "other" to fall back on. Pluralize
+    matches a plural category of its type, cardinal (the default) or
+    ordinal, or an exact number like "=0". CLDR names the categories of
+    both types the same way; which of them a language uses depends on its
+    rules. Select matches keywords, e.g. a gender.
+*/
+var PLURAL_TYPES = ['cardinal', 'ordinal'];
+var PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+function validatePluralize(ast) {
+    var type = pluralType(ast);
+    if (PLURAL_TYPES.indexOf(type) === -1) {
+        throw new InputError(`Pluralize type should be one of ${PLURAL_TYPES.join(', ')}: ` + generateOpening(ast));
+    }
+    validateMatches(ast, when => /^=\d+$/.test(when) || PLURAL_CATEGORIES.indexOf(when) !== -1,
+        `Pluralize matches the ${type} categories ${PLURAL_CATEGORIES.join(', ')} or =N, not`);
+}
+
+function validateSelect(ast) {
+    validateMatches(ast, when => /^[A-Za-z_][\w-]*$/.test(when),
+        "Select matches keywords, not");
+}
+
+function validateMatches(ast, isValidWhen, invalidWhenDescription) {
+    var name = elementName(ast);
+    var on = attributes(ast).find(a => attributeName(a) === 'on');
+    if (!on || !isJsxExpressionContainer(on.get('value'))) {
+        throw new InputError(`${name} needs an expression to choose on: ` + generateOpening(ast));
+    }
+    var whens = ast.get('children')
+        .filterNot(child => isStringLiteral(child) && !child.get('value').trim())
+        .map(match => {
+            if (!isElement(match) || elementName(match) !== 'Match') {
+                throw new InputError(`${name} may only contain Match elements: ` + generate(ast));
+            }
+            var when = attributeWithName(match, 'when');
+            if (!isString(when) || !isValidWhen(when)) {
+                throw new InputError(`${invalidWhenDescription}: ` + generateOpening(match));
+            }
+            return when;
+        });
+    if (!whens.contains('other')) {
+        throw new InputError(`${name} needs a Match for "other": ` + generate(ast));
+    }
+}
+
+function pluralType(ast) {
+    return attributeWithName(ast, 'type') || 'cardinal';
+}
+
 function validateJsxExpressionContainer(ast) {
     if (! isValidExpressionContainer(ast)) {
         throw new InputError("Message contains a non-named expression: " + generate(ast));
@@ -181,7 +517,7 @@ function sanitize (ast) {
 }
 
 function sanitizeJsxElement (ast) {
-    return withSafeAttributesOnly(rewriteIdToNamespaceSyntax(ast))
+    return withSafeAttributesOnly(removeMarkerAttributes(rewriteIdToNamespaceSyntax(ast)))
         .update('children', children => children.map(sanitize));
 }
 
@@ -302,35 +638,54 @@ module.exports.findUntranslatedStrings = function findUntranslatedStrings(src) {
 
 ****************************************************************************/
 
-function transformMessageNode(ast) {
+function transformMessageNode(ast, defaultDomain) {
     var message = extractMessage(ast);
-    var escapedMessage = escape(message);
+    var context = messageContext(ast);
+    var domain = messageDomain(ast, defaultDomain);
+    var id = messageIdForAst(ast);
+    var escapedId = escape(id);
     if (isElementMarker(ast)) {
+        var markerName = generate(ast.getIn(['openingElement', 'name']));
         var freeVariables = freeVariablesInMessageAst(ast).toJS().join(', ');
-        var fallbackSpan = ast
-            .setIn(['openingElement', 'name', 'name'], 'span')
-            .setIn(['closingElement', 'name', 'name'], 'span');
-        var keypaths = allKeypathsInAst(fallbackSpan);
-        fallbackSpan = keypaths.reduce((ast, keypath) => {
-            var node = fallbackSpan.getIn(keypath);
+        var fallbackElement = renderedElement(ast);
+        var keypaths = allKeypathsInAst(fallbackElement);
+        fallbackElement = keypaths.reduce((ast, keypath) => {
+            var node = fallbackElement.getIn(keypath);
             if (isElement(node)) {
                 ast = ast.updateIn(keypath, () => removeId(node));
             }
             return ast;
-        }, fallbackSpan);
-        var fallback = `function() { return ${generate(fallbackSpan)}; }`;
-        return `<I18N message={"${escapedMessage}"} context={this} args={[${freeVariables}]} fallback={${fallback}}/>`;
+        }, fallbackElement);
+        var fallback = `function() { return ${generate(fallbackElement)}; }`;
+        var domainAttribute = domain ? ` domain="${domain}"` : '';
+        var renderedAttributes = attributes(ast)
+            .filterNot(isJsxlateAttribute)
+            .map(attrib => ' ' + generate(attrib))
+            .join('');
+        return `<${markerName} message={"${escapedId}"} context={this} args={[${freeVariables}]} fallback={${fallback}}${domainAttribute}${renderedAttributes}/>`;
     } else {
-        return `i18n('${message.replace(/'/g, "\\'")}')`;
+        var options = messageIds === 'hash'
+            ? [`id: '${id}'`]
+            : context ? [`context: '${context.replace(/'/g, "\\'")}'`] : [];
+        if (domain) {
+            options.push(`domain: '${domain}'`);
+        }
+        options = options.length ? `, {${options.join(', ')}}` : '';
+        return `${generate(ast.get('callee'))}('${message.replace(/'/g, "\\'")}'${options})`;
     }
 }
 module.exports._transformMessageNode = transformMessageNode;
 
-module.exports.transformMessageNodes = function transformMessageNodes(src) {
+/*
+    Transform every message marker in a source code string. Markers
+    without a domain of their own are given options.defaultDomain, if any.
+*/
+module.exports.transformMessageNodes = function transformMessageNodes(src, options) {
+    var defaultDomain = options && options.defaultDomain;
     function transform(ast, keypath) {
         var message = ast.getIn(keypath);
         return ast.setIn(keypath,
-            parseExpression(transformMessageNode(message)));
+            parseExpression(transformMessageNode(message, defaultDomain)));
     }
 
     var ast = parse(src);
@@ -338,6 +693,48 @@ module.exports.transformMessageNodes = function transformMessageNodes(src) {
     return generate(keypaths.reduceRight(transform, ast));
 }
 
+/*
+    Given the source of a single message marker, return its message, keyed
+    with its context if it has one, its runtime id, its domain, the names
+    of its free variables, and for element markers the tag it renders as.
+    The domain is options.defaultDomain unless the marker gives its own.
+    The marker is validated just as it would be during extraction, under
+    options.config if given, a configuration as for configure which
+    applies to this message only.
+*/
+module.exports.describeMessage = function describeMessage(src, options) {
+    return describeFirstMessage(parse(src), options);
+}
+
+/*
+    The same, given the marker as an ESTree node of plain objects, as acorn
+    parses it. This is used by the Babel plugin, which has the node but,
+    for code made by other plugins, no source to reparse.
+*/
+module.exports.describeMessageNode = function describeMessageNode(node, options) {
+    return describeFirstMessage(I.fromJS({
+        type: 'Program',
+        body: [{type: 'ExpressionStatement', expression: node}]
+    }), options);
+}
+
+function describeFirstMessage(ast, options) {
+    return withConfiguration(options && options.config, () => {
+        var keypath = keypathsForMessageNodesInAst(ast).first();
+        if (!keypath) {
+            throw new Error("Internal error: not a message marker: " + generate(ast));
+        }
+        var messageAst = ast.getIn(keypath);
+        return {
+            message: messageKey(messageAst),
+            id: messageIdForAst(messageAst),
+            domain: messageDomain(messageAst, options && options.defaultDomain),
+            freeVariables: freeVariablesInMessageAst(messageAst).toJS(),
+            tagName: isElementMarker(messageAst) ? renderedTagName(messageAst) : undefined
+        };
+    });
+}
+
 
 /****************************************************************************
 
@@ -453,42 +850,65 @@ module.exports.freeVariablesInMessageAst = freeVariablesInMessageAst;
 *****************************************************************************/
 
 /*
-    Given a source code string and a translations dictionary,
-    return a mapping of messages to translation functions.
+    Given a source code string and a translations dictionary, return a
+    bundle mapping message ids to translation functions, with string and
+    element messages kept apart so that they never collide:
+        {strings: {...}, elements: {...}}
+    If options.locale is given, plurals in the translations are checked
+    against the plural categories of that locale. If options.data is set,
+    messages are mapped to data for the runtime to interpret instead of
+    functions; see translatedDataForMessage.
+
+    As translations are for a single domain, only the messages in
+    options.domain are bundled, or if it isn't given, those in no domain.
+    Messages without a domain of their own are in options.defaultDomain.
 */
 
-module.exports.translateMessagesToBundle = function (src, translations) {
-    var bundle = I.Map();
+module.exports.translateMessagesToBundle = function (src, translations, options) {
+    var locale = options && options.locale;
+    var domain = options && options.domain;
+    var defaultDomain = options && options.defaultDomain;
+    var translate = options && options.data
+        ? translatedDataForMessage
+        : translatedRendererForMessage;
+    var bundle = I.Map({strings: I.Map(), elements: I.Map()});
+    var keysById = {};
 
     function substitute(bundle, keypath) {
         try {
             var messageAst = ast.getIn(keypath);
+            var id = messageIdForAst(messageAst);
+            claimMessageId(keysById, id, messageKey(messageAst));
             var translationString = findTranslation(messageAst, translations);
-            return bundle.set(extractMessage(messageAst),
-                translatedRendererForMessage(messageAst, translationString));
+            var bucket = isStringMarker(messageAst) ? 'strings' : 'elements';
+            return bundle.setIn([bucket, id],
+                translate(messageAst, translationString, locale));
         } catch(e) {
             throw e.set ? e.set('messageAst', messageAst).set('translationString', translationString) : e;
         }
     }
 
     var ast = parse(src);
-    var keypaths = keypathsForMessageNodesInAst(ast);
+    var keypaths = keypathsForMessageNodesInAst(ast)
+        .filter(keypath => messageDomain(ast.getIn(keypath), defaultDomain) === domain);
     return keypaths.reduceRight(substitute, bundle).toJS();
 }
 
 /*
     Given a source code string and a translations dictionary,
     return the source code as a string with the messages translated.
+    Takes the same options as translateMessagesToBundle.
 */
 
-module.exports.translateMessages = function (src, translations) {
+module.exports.translateMessages = function (src, translations, options) {
+    var locale = options && options.locale;
     // Substitute at a single keypath based on translations:
     function substitute(ast, keypath) {
         try {
             var message = ast.getIn(keypath);
             var translationString = findTranslation(message, translations);
             return ast.setIn(keypath,
-                translateMessage(message, translationString));
+                translateMessage(message, translationString, locale));
         } catch(e) {
             throw e.set ? e.set('messageAst', message).set('translationString', translationString) : e;
         }
@@ -512,36 +932,25 @@ module.exports.translateMessages = function (src, translations) {
     Given a message AST and translation string,
     return a translated message AST.
 */
-function translateMessage (message, translationString) {
+function translateMessage (message, translationString, locale) {
     var translation = parseExpression(
         unprintTranslation(translationString, message));
     return validateTranslation(
-        reconstitute(translation, message),
-        message);
+        withMarkerAttributesOf(message, reconstitute(translation, message)),
+        message, locale);
 }
 
 /*
     Given a message AST and translation string,
     return a function that will emit translated DOM.
 */
-function translatedRendererForMessage (message, translationString) {
+function translatedRendererForMessage (message, translationString, locale) {
     var renderExpression;
-    var unprinted = unprintTranslation(translationString, message);
     if (isStringMarker(message)) {
-        renderExpression = unprinted;
+        renderExpression = unprintTranslation(translationString, message);
     } else {
-        try {
-            var translation = parseExpression(unprinted);
-        } catch(e) {
-            throw InputError("Invalid translation: " + JSON.stringify(translationString));
-        }
-        var reconstituted = validateTranslation(
-            reconstitute(translation, message),
-            message);
-        var reconstitutedAsSpan = reconstituted
-            .setIn(['openingElement', 'name', 'name'], 'span')
-            .setIn(['closingElement', 'name', 'name'], 'span');
-        var renderExpression = generate(reconstitutedAsSpan);
+        renderExpression = generate(
+            translatedElement(message, translationString, locale));
     }
     var freeVariables = freeVariablesInMessageAst(message);
     var wrapped =
@@ -550,25 +959,322 @@ function translatedRendererForMessage (message, translationString) {
 }
 module.exports.translatedRendererForMessage = translatedRendererForMessage;
 
+/*
+    Given an element message AST and translation string, return the
+    validated element AST that the translation renders. Bundles are keyed
+    by message, and so shared by every marker with that message; the
+    translation renders as a bare <span>, which the I18N component
+    replaces with the tagName and attributes of the marker it renders.
+*/
+function translatedElement (message, translationString, locale) {
+    var unprinted = unprintTranslation(translationString, message);
+    try {
+        var translation = parseExpression(unprinted);
+    } catch(e) {
+        throw InputError("Invalid translation: " + JSON.stringify(translationString));
+    }
+    var reconstituted = validateTranslation(
+        withMarkerAttributesOf(message, reconstitute(translation, message)),
+        message, locale);
+    return setJsxElementName(updateAttributes(reconstituted, () => I.List()),
+        makeJsxIdentifierAst('span'));
+}
+
+
+
+/*****************************************************************************
+
+    Data bundles.
+
+    Instead of a function, a message can be bundled as data describing the
+    elements it renders, which the I18N component interprets at runtime.
+    A bundle of data is plain JSON, so it can be fetched and swapped
+    without going through Babel again. The translation of a string message
+    is simply its string. An element message such as
+
+        <I18N>Hello, <a href="/users">{user.name}</a></I18N>
+
+    translated as "Helo, <a href="/users">{user.name}</a>" becomes
+
+        {
+            "args": ["user"],
+            "element": {
+                "type": "span", "props": {},
+                "children": [
+                    "Helo, ",
+                    {"type": "a", "props": {"href": {"literal": "/users"}},
+                     "children": [{"expression": {"path": ["user", "name"]}}]}
+                ]
+            }
+        }
+
+    where args names the free variables passed in the I18N's args prop, in
+    order. An element's type is the name of a DOM element, or an expression
+    for a component. Expressions are literals, paths like user.name or
+    this.props.count, and objects and arrays of those; messages with
+    attributes that need anything else can only be bundled as functions.
+
+*****************************************************************************/
+
+function translatedDataForMessage (message, translationString, locale) {
+    if (isStringMarker(message)) {
+        return translationString;
+    }
+    return {
+        args: freeVariablesInMessageAst(message).toJS(),
+        element: dataForNode(translatedElement(message, translationString, locale))
+    };
+}
+module.exports.translatedDataForMessage = translatedDataForMessage;
+
+function dataForNode(ast) {
+    return ({
+        'JSXElement': dataForJsxElement,
+        'JSXExpressionContainer': dataForJsxChildExpression,
+        'Literal': ast => cleanJsxText(ast.get('value'))
+    }[ast.get('type')])(ast);
+}
+
+function dataForJsxElement(ast) {
+    var nameAst = ast.getIn(['openingElement', 'name']);
+    var name = generate(nameAst);
+    var props = attributes(ast).reduce((props, attributeAst) => {
+        if (attributeAst.get('type') !== 'JSXAttribute') {
+            throw new InputError("Spread attributes can't be bundled as data: " + generateOpening(ast));
+        }
+        var value = attributeAst.get('value');
+        props[generate(attributeAst.get('name'))] = !value
+            ? {literal: true}
+            : dataForExpression(isJsxExpressionContainer(value) ? value.get('expression') : value);
+        return props;
+    }, {});
+    return {
+        type: /^[a-z]/.test(name) && nameAst.get('type') === 'JSXIdentifier'
+            ? name
+            : {path: name.split('.')},
+        props: props,
+        children: ast.get('children')
+            .map(dataForNode)
+            .filter(child => child !== null)
+            .toArray()
+    };
+}
+
+function dataForJsxChildExpression(ast) {
+    var expression = ast.get('expression');
+    if (expression.get('type') === 'JSXEmptyExpression') {
+        return null;
+    }
+    return {expression: dataForExpression(expression)};
+}
+
+function dataForExpression(ast) {
+    var type = ast.get('type');
+    if (type === 'Literal' && !ast.get('regex')) {
+        return {literal: ast.get('value')};
+    } else if (type === 'UnaryExpression' && ast.get('operator') === '-' &&
+               isNumericLiteral(ast.get('argument'))) {
+        return {literal: -ast.getIn(['argument', 'value'])};
+    } else if (type === 'Identifier') {
+        return {path: [ast.get('name')]};
+    } else if (type === 'ThisExpression') {
+        return {path: ['this']};
+    } else if (type === 'MemberExpression' && !ast.get('computed')) {
+        var object = dataForExpression(ast.get('object'));
+        if (object.path) {
+            return {path: object.path.concat(ast.getIn(['property', 'name']))};
+        }
+    } else if (type === 'ObjectExpression') {
+        return {
+            object: ast.get('properties').reduce((object, property) => {
+                if (property.get('computed') || property.get('kind') !== 'init') {
+                    throw new InputError("Only plain object literals can be bundled as data: " + generate(ast));
+                }
+                var key = property.get('key');
+                object[key.get('type') === 'Identifier' ? key.get('name') : key.get('value')] =
+                    dataForExpression(property.get('value'));
+                return object;
+            }, {})
+        };
+    } else if (type === 'ArrayExpression') {
+        return {array: ast.get('elements').map(dataForExpression).toArray()};
+    }
+    throw new InputError("Expression can't be bundled as data, only as a function: " + generate(ast));
+}
+
+function isNumericLiteral(ast) {
+    return ast.get('type') === 'Literal' && typeof ast.get('value') === 'number';
+}
+
+/*
+    Whitespace in JSX text is collapsed as Babel does when compiling JSX:
+    lines are trimmed and joined with a space, and blank lines dropped.
+    Returns null for text that is only whitespace across lines.
+*/
+function cleanJsxText(text) {
+    var lines = text.split(/\r\n|\n|\r/);
+    var lastNonEmptyLine = 0;
+    lines.forEach((line, i) => {
+        if (/[^ \t]/.test(line)) {
+            lastNonEmptyLine = i;
+        }
+    });
+    var cleaned = '';
+    lines.forEach((line, i) => {
+        var trimmed = line.replace(/\t/g, ' ');
+        if (i !== 0) {
+            trimmed = trimmed.replace(/^[ ]+/, '');
+        }
+        if (i !== lines.length - 1) {
+            trimmed = trimmed.replace(/[ ]+$/, '');
+        }
+        if (trimmed) {
+            if (i !== lastNonEmptyLine) {
+                trimmed += ' ';
+            }
+            cleaned += trimmed;
+        }
+    });
+    return cleaned || null;
+}
+
 /*
     Given a message AST and dictionary, return the translation string.
 */
 function findTranslation(messageAst, translations) {
-    var translation = translations[extractMessage(messageAst)];
+    var translation = translations[messageKey(messageAst)];
     if(!translation) {
+        var context = messageContext(messageAst);
         throw new InputError(
-            "Translation missing for:\n" + extractMessage(messageAst));
+            "Translation missing for:\n" + extractMessage(messageAst) +
+            (context ? `\n(in context ${JSON.stringify(context)})` : ''));
     }
     return translation;
 }
 
+/*
+    Given a source code string and a translations dictionary, check the
+    translation of every message rather than stopping at the first problem.
+    Return an array with an object for each message:
+        {message, line, status, error}
+    where message is the key it is translated under, status is one of
+    'translated', 'missing' or 'invalid', and error describes why an
+    invalid translation could not be used. Takes the same options as
+    translateMessagesToBundle, so only the messages in options.domain are
+    checked.
+*/
+module.exports.checkTranslations = function checkTranslations(src, translations, options) {
+    var locale = options && options.locale;
+    var domain = options && options.domain;
+    var defaultDomain = options && options.defaultDomain;
+    var ast = parse(src);
+    return keypathsForMessageNodesInAst(ast)
+        .filter(keypath => messageDomain(ast.getIn(keypath), defaultDomain) === domain)
+        .map(keypath => {
+            var messageAst = ast.getIn(keypath);
+            var result = {
+                message: messageKey(messageAst),
+                line: messageAst.getIn(['loc', 'start', 'line'])
+            };
+            var translation = translations[result.message];
+            if (!translation) {
+                return Object.assign(result, {status: 'missing'});
+            }
+            try {
+                translatedRendererForMessage(messageAst, translation, locale);
+            } catch (e) {
+                if (!isInputError(e)) throw e;
+                return Object.assign(result, {status: 'invalid', error: e.get('description')});
+            }
+            return Object.assign(result, {status: 'translated'});
+        }).toJS();
+};
+
+
+
+/*
+    Translations files made by mergeTranslations keep obsolete translations
+    in a dictionary under OBSOLETE_KEY, among the translations themselves.
+    A string there is instead the translation of a message "#obsolete".
+*/
+var OBSOLETE_KEY = '#obsolete';
+module.exports.OBSOLETE_KEY = OBSOLETE_KEY;
+
+function obsoleteTranslationsIn(translations) {
+    var obsolete = translations[OBSOLETE_KEY];
+    return obsolete && typeof obsolete === 'object' ? obsolete : {};
+}
+
+/*
+    The translations of a dictionary as read from a translations file,
+    without the obsolete ones.
+*/
+function currentTranslations(translations) {
+    var current = Object.assign({}, translations);
+    if (typeof current[OBSOLETE_KEY] !== 'string') {
+        delete current[OBSOLETE_KEY];
+    }
+    return current;
+}
+module.exports.currentTranslations = currentTranslations;
+
+/*
+    Merge messages fresh from extraction, keyed as in translations and
+    mapped to themselves, into an EXISTING translations dictionary. The
+    existing translations are kept. Those whose messages are no longer in
+    the source are marked obsolete by moving them under OBSOLETE_KEY, or
+    with options.prune, dropped; a message which comes back gets its old
+    translation back. Return
+        {translations, added, restored, obsolete, unchanged}
+    where the last four are the keys of messages new to the dictionary, of
+    those given back their obsolete translations, of obsolete translations
+    and of the others. A message "#obsolete" can't be merged while there
+    are obsolete translations to keep under the same key.
+*/
+module.exports.mergeTranslations = function mergeTranslations(messages, existing, options) {
+    var prune = options && options.prune;
+    var current = currentTranslations(existing);
+    var obsolete = obsoleteTranslationsIn(existing);
+
+    var translations = {};
+    var obsoleteTranslations = {};
+    var result = {translations, added: [], restored: [], obsolete: [], unchanged: []};
+    Object.keys(messages).forEach(key => {
+        if (current.hasOwnProperty(key)) {
+            translations[key] = current[key];
+            result.unchanged.push(key);
+        } else if (obsolete.hasOwnProperty(key)) {
+            translations[key] = obsolete[key];
+            result.restored.push(key);
+        } else {
+            translations[key] = messages[key];
+            result.added.push(key);
+        }
+    });
+    Object.keys(Object.assign({}, obsolete, current)).forEach(key => {
+        if (!messages.hasOwnProperty(key)) {
+            obsoleteTranslations[key] = current.hasOwnProperty(key) ? current[key] : obsolete[key];
+            result.obsolete.push(key);
+        }
+    });
+    if (result.obsolete.length && !prune) {
+        if (messages.hasOwnProperty(OBSOLETE_KEY)) {
+            throw new InputError(
+                `The message ${JSON.stringify(OBSOLETE_KEY)} can't be merged while obsolete translations ` +
+                "are kept under that key; prune them first.");
+        }
+        translations[OBSOLETE_KEY] = obsoleteTranslations;
+    }
+    return result;
+};
+
 
 
 /*****************************************************************************
     Validating translations
 *****************************************************************************/
 
-function validateTranslation(translation, original) {
+function validateTranslation(translation, original, locale) {
     if (! I.is(countOfReactComponentsByName(translation),
               countOfReactComponentsByName(original))) {
         throw new InputError("The translation has a different set of React components than the original.");
@@ -577,15 +1283,58 @@ function validateTranslation(translation, original) {
               countOfNamedExpressionsByName(original))) {
         throw new InputError("The translation has a different set of expressions than the original.");
     }
+    allKeypathsInAst(translation)
+        .map(keypath => translation.getIn(keypath))
+        .forEach(ast => {
+            if (isPluralize(ast)) {
+                validatePluralize(ast);
+                if (locale) {
+                    validatePluralCategories(ast, locale);
+                }
+            } else if (isSelect(ast)) {
+                validateSelect(ast);
+            }
+        });
 
     return translation;
 }
 
+/*
+    A translated <Pluralize> must have a Match for each plural category
+    of the locale, and no others, or it would fail to render some numbers.
+    Matches for exact numbers like "=0" are always allowed.
+*/
+function validatePluralCategories(ast, locale) {
+    var type = pluralType(ast);
+    var required = type === 'ordinal'
+        ? plurals.ordinalCategories(locale)
+        : plurals.cardinalCategories(locale);
+    if (!required) {
+        throw new InputError(`No ${type} plural rules are known for locale ${locale}.`);
+    }
+    var whens = ast.get('children')
+        .filter(isElement)
+        .map(match => attributeWithName(match, 'when'))
+        .filterNot(when => /^=/.test(when));
+    var missing = required.filter(category => !whens.contains(category));
+    var unknown = whens.filter(when => required.indexOf(when) === -1).toJS();
+    if (missing.length || unknown.length) {
+        throw new InputError(
+            `Pluralize should match exactly the ${type} categories of ${locale}, ${required.join(', ')}` +
+            (missing.length ? `; missing ${missing.join(', ')}` : '') +
+            (unknown.length ? `; ${locale} does not use ${unknown.join(', ')}` : '') +
+            ': ' + generateOpening(ast));
+    }
+}
+
+// Matches are left out: a translation has one for each plural category of
+// its locale, however many the original has.
 function countOfReactComponentsByName(ast) {
     var names = allKeypathsInAst(ast)
         .map(keypath => ast.getIn(keypath))
         .filter(isReactComponent)
-        .map(elementName);
+        .map(elementName)
+        .filterNot(name => name === 'Match');
     return countOfItemsByItem(names);
 }
 
@@ -597,13 +1346,23 @@ function countOfReactComponentsByNameAndId(ast) {
     return countOfItemsByItem(namesAndIds);
 }
 
+// Only one Match of a Pluralize or Select is rendered, so an expression
+// used in several of them counts as often as it is used in any one.
 function countOfNamedExpressionsByName(ast) {
-    var names = allKeypathsInAst(ast)
-        .map(keypath => ast.getIn(keypath))
-        .filter(isValidExpressionContainer)
-        .map(ast => ast.get('expression'))
-        .map(generate);
-    return countOfItemsByItem(names);
+    if (isValidExpressionContainer(ast)) {
+        return I.Map([[generate(ast.get('expression')), 1]]);
+    } else if (isPluralize(ast) || isSelect(ast)) {
+        return ast.get('children')
+            .map(countOfNamedExpressionsByName)
+            .reduce((counts, matchCounts) => counts.mergeWith((a, b) => Math.max(a, b), matchCounts),
+                    countOfNamedExpressionsByName(ast.get('openingElement')));
+    } else if (I.Iterable.isIterable(ast)) {
+        return ast.toList()
+            .map(countOfNamedExpressionsByName)
+            .reduce((counts, childCounts) => counts.mergeWith((a, b) => a + b, childCounts), I.Map());
+    } else {
+        return I.Map();
+    }
 }
 
 
@@ -636,6 +1395,11 @@ function reconstituteJsxElement(translatedAst, definitions) {
     var id = elementId(translatedAst);
     if (id) {
         var originalAttributes = definitions.get(id);
+        if (!originalAttributes && elementName(translatedAst) === 'Match') {
+            // A Match for a plural category the original doesn't need;
+            // Matches have nothing hidden to put back.
+            originalAttributes = I.List();
+        }
         if (!originalAttributes) { throw new InputError("Translation contains id '" + id + "', which is not in the original."); }
 
         result = updateAttributes(translatedAst,
@@ -693,8 +1457,23 @@ function namedExpressionDefinitionsInJsxElement(ast) {
         I.List( [id, hiddenAttributes] )
     ]);
 
-    return attributeDefinition.concat(
-        ast.get('children').flatMap(_namedExpressionDefinitions));
+    return attributeDefinition.concat(isPluralize(ast) || isSelect(ast)
+        ? namedExpressionDefinitionsInMatches(ast.get('children'))
+        : ast.get('children').flatMap(_namedExpressionDefinitions));
+}
+
+// An expression may be used in several Matches, e.g. {count} in each branch
+// of a Pluralize; it is the same expression, so it is defined only once.
+function namedExpressionDefinitionsInMatches(matches) {
+    return matches.reduce((definitions, match) => {
+        var names = definitions.map(d => d.first()).toSet();
+        return definitions.concat(_namedExpressionDefinitions(match)
+            .filterNot(d => isExpressionDefinition(d) && names.has(d.first())));
+    }, I.List());
+}
+
+function isExpressionDefinition(definition) {
+    return I.Map.isMap(definition.get(1));
 }
 
 function namedExpressionDefinitionsInJsxExpressionContainer(ast) {
@@ -750,26 +1529,49 @@ function matcher(pattern) {
     return value => matches(value, Ipattern);
 }
 
-var isStringMarker = matcher({
-    type: "CallExpression",
-    callee: {
-        type: "Identifier",
-        name: "i18n"
-    }
+var isCallExpression = matcher({
+    type: "CallExpression"
 });
 
-var isElementMarker = matcher({
+var isNonSelfClosingJsxElement = matcher({
     type: "JSXElement",
     openingElement: {
         type: "JSXOpeningElement",
-        selfClosing: false,
-        name: {
-            type: "JSXIdentifier",
-            name: "I18N"
-        }
+        selfClosing: false
     }
 });
 
+function isStringMarker (ast) {
+    return isCallExpression(ast)
+        && markers.string.indexOf(dottedName(ast.get('callee'))) !== -1;
+}
+
+function isElementMarker (ast) {
+    return isNonSelfClosingJsxElement(ast)
+        && markers.element.indexOf(dottedName(ast.getIn(['openingElement', 'name']))) !== -1;
+}
+
+/*
+    Return the name of an identifier or a non-computed member expression,
+    e.g. "Intl.Message", or undefined for anything else.
+*/
+function dottedName (ast) {
+    return ({
+        'Identifier': variableNameForIdentifier,
+        'JSXIdentifier': variableNameForIdentifier,
+        'MemberExpression': dottedNameForMemberExpression,
+        'JSXMemberExpression': dottedNameForMemberExpression
+    }[ast.get('type')] || empty)(ast);
+}
+
+function dottedNameForMemberExpression (ast) {
+    var object = dottedName(ast.get('object'));
+    if (ast.get('computed') || !object) {
+        return undefined;
+    }
+    return object + '.' + ast.getIn(['property', 'name']);
+}
+
 function isMarker (ast) {
     return isStringMarker(ast) || isElementMarker(ast);
 }
@@ -779,6 +1581,43 @@ var isStringLiteral = matcher({
     value: isString
 });
 
+/*
+    The second argument of a string marker is either a comment, or an
+    object literal of options like {comment: "...", context: "...", domain: "..."}:
+*/
+var isMarkerOption = matcher({
+    type: "Property",
+    kind: "init",
+    computed: false,
+    key: ast => ['comment', 'context', 'domain'].indexOf(markerOptionName(ast)) !== -1,
+    value: isStringLiteral
+});
+
+function markerOptionName (keyAst) {
+    return keyAst.get('type') === 'Identifier' ? keyAst.get('name') : keyAst.get('value');
+}
+
+function isValidMarkerOptions (ast) {
+    return isStringLiteral(ast) || (
+        ast.get('type') === 'ObjectExpression' &&
+        ast.get('properties').every(isMarkerOption));
+}
+
+/*
+    Return the value of the given option of a string marker, if it was given.
+*/
+function stringMarkerOption (messageMarker, name) {
+    var options = messageMarker.getIn(['arguments', 1]);
+    if (!options) {
+        return undefined;
+    } else if (isStringLiteral(options)) {
+        return name === 'comment' ? options.get('value') : undefined;
+    }
+    var property = options.get('properties')
+        .find(p => markerOptionName(p.get('key')) === name);
+    return property && property.getIn(['value', 'value']);
+}
+
 var isNonWhitespaceStringLiteral = matcher({
     type: "Literal",
     value: s => isString(s) && !/^\s+$/m.test(s)
@@ -876,16 +1715,34 @@ function keypathsForMessageNodesInAst(ast) {
     var keypaths = allKeypathsInAst(ast)
         .filter(keypath => isMarker(ast.getIn(keypath)));
 
-    // Validate arguments of string markers:
+    // Validate arguments of string markers and attributes of element markers:
     keypaths.forEach(keypath => {
         var messageMarker = ast.getIn(keypath);
         if (isStringMarker(messageMarker)) {
-            if ( messageMarker.get('arguments').size !== 1 ) {
-                throw new InputError("Message marker must have exactly one argument: " + generate(messageMarker));
+            var size = messageMarker.get('arguments').size;
+            if ( size !== 1 && size !== 2 ) {
+                throw new InputError("Message marker must have a message and optionally a comment or options: " + generate(messageMarker));
             }
             if ( !isStringLiteral(messageMarker.getIn(['arguments', 0])) ) {
                 throw new InputError("Message should be a string literal, but was instead: " + generate(messageMarker));
             }
+            if ( size === 2 && !isValidMarkerOptions(messageMarker.getIn(['arguments', 1])) ) {
+                throw new InputError("Message comment should be a string literal, or options an object literal with string literal comment, context and domain, but was instead: " + generate(messageMarker));
+            }
+            validateDomain(stringMarkerOption(messageMarker, 'domain'), messageMarker);
+        } else {
+            attributes(messageMarker)
+                .filter(isMarkerAttribute)
+                .forEach(a => {
+                    if ( !isStringLiteral(a.get('value')) ) {
+                        throw new InputError(`${attributeName(a)} should be a string literal: ` + generateOpening(messageMarker));
+                    }
+                });
+            var tagName = attributeWithName(messageMarker, 'tagName');
+            if ( tagName !== undefined && !/^[a-z][a-zA-Z0-9-]*$/.test(tagName) ) {
+                throw new InputError("tagName should be the name of a DOM element: " + generateOpening(messageMarker));
+            }
+            validateDomain(attributeWithName(messageMarker, 'i18n-domain'), messageMarker);
         }
     });
 
@@ -893,6 +1750,14 @@ function keypathsForMessageNodesInAst(ast) {
 }
 module.exports._keypathsForMessageNodesInAst = keypathsForMessageNodesInAst;
 
+// Domains name catalog and bundle files, so are kept to safe characters:
+function validateDomain(domain, messageMarker) {
+    if ( domain !== undefined && !/^[a-zA-Z0-9_-]+$/.test(domain) ) {
+        throw new InputError("Message domain should contain only letters, digits, - and _: " +
+            (isStringMarker(messageMarker) ? generate(messageMarker) : generateOpening(messageMarker)));
+    }
+}
+
 
 /****************************************************************************
 
@@ -919,7 +1784,8 @@ function printMessage (ast) {
         return ast.getIn(['arguments', 0, 'value']);
     }
     else if (isElementMarker(ast)) {
-        return ast.get('children').map(printJsxChild).join('').trim();
+        var printChild = isIcuMessage(ast) ? printIcuChild : printJsxChild;
+        return ast.get('children').map(child => printChild(child)).join('').trim();
     }
     else {
         throw new Error("Internal error: message is not string literal or JSX element: " + generate(ast));
@@ -934,12 +1800,44 @@ function printJsxChild (ast) {
     }
 }
 
+/*
+    Split a printed JSX message into text and markup, for formats like
+    XLIFF which show markup to translators as inline codes. Each part is
+    one of:
+        {text: "Hello, "}
+        {code: "{name}"}    -- for expressions and self-closing elements
+        {open: '<a href="foo">', close: "</a>", children: [...parts]}
+*/
+module.exports.messageParts = function messageParts(message) {
+    var jsx = messageFormat === 'icu' ? icuToJsx(message) : message;
+    return parseExpression(`<I18N>${jsx}</I18N>`)
+        .get('children')
+        .map(partForJsxChild)
+        .toArray();
+};
+
+function partForJsxChild (ast) {
+    if (isStringLiteral(ast)) {
+        return {text: ast.get('value')};
+    } else if (isElement(ast) && !ast.getIn(['openingElement', 'selfClosing'])) {
+        return {
+            open: generateOpening(ast),
+            close: generate(ast.get('closingElement')),
+            children: ast.get('children').map(partForJsxChild).toArray()
+        };
+    } else {
+        return {code: generate(ast)};
+    }
+}
+
 function unprintTranslation (translationString, originalAst) {
     if (isStringMarker(originalAst)) {
         return JSON.stringify(translationString);
     }
     else if (isElementMarker(originalAst)) {
-        return "<I18N>" + translationString + "</I18N>";
+        var markerName = generate(originalAst.getIn(['openingElement', 'name']));
+        var jsx = isIcuMessage(originalAst) ? icuToJsx(translationString) : translationString;
+        return `<${markerName}>${jsx}</${markerName}>`;
     }
     else {
         throw new Error("Internal error: message is not string literal or JSX element: " + generate(ast));
@@ -948,6 +1846,227 @@ function unprintTranslation (translationString, originalAst) {
 
 
 
+/*****************************************************************************
+
+    ICU MessageFormat.
+
+    When the message format is 'icu', a message containing <Pluralize> or
+    <Select> is printed with each of them in ICU syntax:
+
+        <Pluralize on={count}><Match when="one">One item</Match><Match when="other">{count} items</Match></Pluralize>
+        <Select on={gender}><Match when="female">her</Match><Match when="other">their</Match></Select>
+
+    are shown to translators as
+
+        {count, plural, one {One item} other {{count} items}}
+        {gender, select, female {her} other {their}}
+
+    and <Pluralize type="ordinal"> as {place, selectordinal, ...}.
+
+    Everything else is printed as JSX, as usual. In such messages the text
+    follows ICU quoting rules: an apostrophe before a syntax character
+    starts quoted text, '' is an apostrophe, and # in a plural branch
+    stands for the pluralized value.
+
+    Translations are converted back into JSX before they are parsed.
+
+*****************************************************************************/
+
+function isPluralize (ast) {
+    return isElement(ast) && elementName(ast) === 'Pluralize';
+}
+
+function isSelect (ast) {
+    return isElement(ast) && elementName(ast) === 'Select';
+}
+
+function isIcuMessage (messageAst) {
+    return messageFormat === 'icu' && allKeypathsInAst(messageAst)
+        .some(keypath => isPluralize(messageAst.getIn(keypath)) || isSelect(messageAst.getIn(keypath)));
+}
+
+function printIcuChild (ast, inPlural) {
+    if (isStringLiteral(ast)) {
+        return escapeIcuText(ast.get('value'), inPlural);
+    } else if (isPluralize(ast)) {
+        return printIcuChoice(ast, pluralType(ast) === 'ordinal' ? 'selectordinal' : 'plural');
+    } else if (isSelect(ast)) {
+        return printIcuChoice(ast, 'select');
+    } else if (isElement(ast) && !ast.getIn(['openingElement', 'selfClosing'])) {
+        return generateOpening(ast)
+            + ast.get('children').map(c => printIcuChild(c, inPlural)).join('')
+            + generate(ast.get('closingElement'));
+    } else {
+        return generate(ast);
+    }
+}
+
+// Print a <Pluralize> as 'plural' or 'selectordinal', or a <Select> as 'select':
+function printIcuChoice (ast, type) {
+    var name = elementName(ast);
+    var on = attributes(ast).find(a => attributeName(a) === 'on');
+    if (!on || !isJsxExpressionContainer(on.get('value'))) {
+        throw new InputError(`${name} needs an expression to choose on: ` + generateOpening(ast));
+    }
+    var branches = ast.get('children')
+        .filterNot(child => isStringLiteral(child) && !child.get('value').trim())
+        .map(match => {
+            if (!isElement(match) || elementName(match) !== 'Match') {
+                throw new InputError(`${name} may only contain Match elements: ` + generate(ast));
+            }
+            var content = match.get('children').map(c => printIcuChild(c, type !== 'select')).join('');
+            return `${attributeWithName(match, 'when')} {${content}}`;
+        });
+    return `{${generate(on.getIn(['value', 'expression']))}, ${type}, ${branches.join(' ')}}`;
+}
+
+function escapeIcuText (text, inPlural) {
+    return text
+        .replace(/'(?=[{}#|']|$)/g, "''")
+        .replace(/#/g, inPlural ? "'#'" : '#');
+}
+
+/*
+    Convert a message or translation in ICU syntax back into JSX. Only
+    plural, selectordinal and select arguments are ICU; other {expressions} and tags are JSX and
+    are passed through unchanged.
+*/
+function icuToJsx (src) {
+    var position = 0;
+
+    function fail(description) {
+        throw new InputError(`${description} at position ${position} of: ${src}`);
+    }
+
+    // Match an anchored regex at the current position:
+    function lookingAt(regex) {
+        return regex.exec(src.slice(position));
+    }
+
+    // Text and arguments, up to the end or (in a branch) a "}".
+    function message(branch) {
+        var inPlural = branch !== undefined && branch.type !== 'select';
+        var out = '';
+        while (position < src.length) {
+            var c = src[position];
+            if (c === '}') {
+                if (branch === undefined) fail("Unexpected }");
+                return out;
+            } else if (c === "'") {
+                out += quoted(inPlural);
+            } else if (c === '#' && inPlural) {
+                out += `{${branch.on}}`;
+                position++;
+            } else if (c === '{') {
+                out += argument();
+            } else if (c === '<') {
+                out += tag();
+            } else {
+                out += c;
+                position++;
+            }
+        }
+        if (branch !== undefined) fail(`Unclosed ${branch.type} branch`);
+        return out;
+    }
+
+    function quoted(inPlural) {
+        var next = src[position + 1];
+        if (next === "'") {
+            position += 2;
+            return "'";
+        } else if (next !== undefined && /[{}|]/.test(next) || (next === '#' && inPlural)) {
+            var end = position + 1;
+            var text = '';
+            while (end < src.length) {
+                if (src[end] === "'" && src[end + 1] === "'") {
+                    text += "'";
+                    end += 2;
+                } else if (src[end] === "'") {
+                    break;
+                } else {
+                    text += src[end++];
+                }
+            }
+            position = end + 1;
+            return text
+                .replace(/</g, '&lt;')
+                .replace(/{/g, '&#123;')
+                .replace(/}/g, '&#125;');
+        } else {
+            position++;
+            return "'";
+        }
+    }
+
+    function argument() {
+        var header = lookingAt(/^\{\s*([^{},]+?)\s*,\s*(plural|selectordinal|select)\s*,/);
+        if (header) {
+            position += header[0].length;
+            return choice(header[1], header[2]);
+        }
+        return balanced('{', '}');
+    }
+
+    function choice(on, type) {
+        var matches = '';
+        var selectorPattern = type === 'select' ? /^\s*([A-Za-z_][\w-]*)\s*\{/ : /^\s*(=\d+|[a-z]+)\s*\{/;
+        while (true) {
+            var selector = lookingAt(selectorPattern);
+            if (!selector) break;
+            position += selector[0].length;
+            var content = message({on: on, type: type});
+            position++;
+            matches += `<Match when="${selector[1]}">${content}</Match>`;
+        }
+        var end = lookingAt(/^\s*\}/);
+        if (!end) fail(`Expected a ${type} selector like ${type === 'select' ? 'female' : 'one'} {...} or }`);
+        position += end[0].length;
+        if (type === 'select') {
+            return `<Select on={${on}}>${matches}</Select>`;
+        }
+        var ordinal = type === 'selectordinal' ? ' type="ordinal"' : '';
+        return `<Pluralize on={${on}}${ordinal}>${matches}</Pluralize>`;
+    }
+
+    // A JSX tag, which may contain quoted strings and {expressions}:
+    function tag() {
+        var start = position;
+        while (position < src.length && src[position] !== '>') {
+            var c = src[position];
+            if (c === '"' || c === "'") {
+                var close = src.indexOf(c, position + 1);
+                if (close === -1) fail("Unclosed string in tag");
+                position = close + 1;
+            } else if (c === '{') {
+                balanced('{', '}');
+            } else {
+                position++;
+            }
+        }
+        if (position >= src.length) fail("Unclosed tag");
+        position++;
+        return src.slice(start, position);
+    }
+
+    function balanced(open, close) {
+        var start = position;
+        var depth = 0;
+        do {
+            if (position >= src.length) fail(`Unbalanced ${open}`);
+            if (src[position] === open) depth++;
+            if (src[position] === close) depth--;
+            position++;
+        } while (depth > 0);
+        return src.slice(start, position);
+    }
+
+    return message();
+}
+module.exports._icuToJsx = icuToJsx;
+
+
+
 /*****************************************************************************
 
     Error handling.
@@ -1116,6 +2235,13 @@ function makeLiteralExpressionAst(value) {
     return parseExpression(value);
 }
 
+function makeJsxIdentifierAst(name) {
+    return I.fromJS({
+        type: 'JSXIdentifier',
+        name: name
+    });
+}
+
 function makeNamespaceAst(namespace, name) {
     return I.fromJS({
         type: 'JSXNamespacedName',
@@ -1247,6 +2373,53 @@ function attributeWithName(jsxElementAst, name) {
     return a && attributeValue(a);
 }
 
+/*
+    Attributes like i18n-comment and tagName on element markers are for
+    jsxlate only, and must not be rendered.
+*/
+function isMarkerAttribute(attributeAst) {
+    var name = attributeName(attributeAst);
+    return name === 'tagName' ||
+        (isString(name) && name !== 'i18n-id' && name.startsWith('i18n-'));
+}
+
+/*
+    The attributes only jsxlate reads, which transformed markers don't
+    keep: the others, tagName among them, are passed to the I18N component
+    to render.
+*/
+function isJsxlateAttribute(attributeAst) {
+    var name = attributeName(attributeAst);
+    return isString(name) && name.startsWith('i18n-');
+}
+
+function removeMarkerAttributes(jsxElementAst) {
+    return updateAttributes(jsxElementAst, attributes =>
+        attributes.filterNot(isMarkerAttribute));
+}
+
+/*
+    Translators never see the attributes of the marker itself, so a
+    translation gets them back from the original.
+*/
+function withMarkerAttributesOf(originalAst, translatedAst) {
+    return updateAttributes(translatedAst, () => attributes(originalAst));
+}
+
+/*
+    An element marker renders as a <span>, or as the element named by its
+    tagName attribute where a span isn't allowed, e.g.
+        <select><I18N tagName="option" value="fr">French</I18N></select>
+*/
+function renderedTagName(jsxElementAst) {
+    return attributeWithName(jsxElementAst, 'tagName') || 'span';
+}
+
+function renderedElement(jsxElementAst) {
+    return removeMarkerAttributes(setJsxElementName(jsxElementAst,
+        makeJsxIdentifierAst(renderedTagName(jsxElementAst))));
+}
+
 function removeAttributeWithName(jsxElementAst, name) {
     return jsxElementAst.updateIn(['openingElement', 'attributes'],
         attributes => attributes
@@ -4,11 +4,11 @@ var fs = require('fs');
 var os = require('os');
 var path = require('path');
 
-var FILENAME = path.join(os.tmpdir(), '.jsxlate.json');
+var FILENAME = path.join(os.tmpdir(), ".jsxlate.json");
 var data = {};
 
 function save() {
-    fs.writeFileSync(FILENAME, JSON.stringify(data, null, '  '));
+    fs.writeFileSync(FILENAME, JSON.stringify(data, null, "  "));
 }
 
 function load() {
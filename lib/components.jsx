@@ -1,91 +1,528 @@
 'use strict';
 
-var _get = require('babel-runtime/helpers/get')['default'];
+Object.defineProperty(exports, "__esModule", {
+    value: true
+});
 
-var _inherits = require('babel-runtime/helpers/inherits')['default'];
+var _createClass = function () { function defineProperties(target, props) { for (var i = 0; i < props.length; i++) { var descriptor = props[i]; descriptor.enumerable = descriptor.enumerable || false; descriptor.configurable = true; if ("value" in descriptor) descriptor.writable = true; Object.defineProperty(target, descriptor.key, descriptor); } } return function (Constructor, protoProps, staticProps) { if (protoProps) defineProperties(Constructor.prototype, protoProps); if (staticProps) defineProperties(Constructor, staticProps); return Constructor; }; }();
 
-var _createClass = require('babel-runtime/helpers/create-class')['default'];
+var _react = require('react');
 
-var _classCallCheck = require('babel-runtime/helpers/class-call-check')['default'];
+var _react2 = _interopRequireDefault(_react);
 
-var _interopRequireDefault = require('babel-runtime/helpers/interop-require-default')['default'];
+var _plurals = require('./plurals');
 
-Object.defineProperty(exports, '__esModule', {
-    value: true
-});
+function _interopRequireDefault(obj) { return obj && obj.__esModule ? obj : { default: obj }; }
 
-var _react = require('react');
+function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
 
-var _react2 = _interopRequireDefault(_react);
+function _possibleConstructorReturn(self, call) { if (!self) { throw new ReferenceError("this hasn't been initialised - super() hasn't been called"); } return call && (typeof call === "object" || typeof call === "function") ? call : self; }
+
+function _inherits(subClass, superClass) { if (typeof superClass !== "function" && superClass !== null) { throw new TypeError("Super expression must either be null or a function, not " + typeof superClass); } subClass.prototype = Object.create(superClass && superClass.prototype, { constructor: { value: subClass, enumerable: false, writable: true, configurable: true } }); if (superClass) Object.setPrototypeOf ? Object.setPrototypeOf(subClass, superClass) : subClass.__proto__ = superClass; }
+
+function _toConsumableArray(arr) { if (Array.isArray(arr)) { for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) { arr2[i] = arr[i]; } return arr2; } else { return Array.from(arr); } }
 
-// TODO: default locale should be empty, not fake-English
 var state = {
-    messages: {},
-    locale: { name: 'en', pluralFn: function pluralFn(c) {
-            return c === 1 ? 'one' : 'other';
-        } }
+    messages: mergeMessages(),
+    locale: null,
+    loading: null,
+    // Names of the chunks loaded with loadChunk, and the messages of those
+    // which arrive while loadLocale is loading the locale they are for:
+    chunks: [],
+    pendingMessages: mergeMessages()
 };
 
+var listeners = [];
+
+/*
+    Call listener whenever the messages or locale change. Returns a function
+    which unsubscribes it. Mounted I18N and Pluralize components
+    subscribe themselves, so they re-render at once when you switch locale;
+    anything else that calls i18n() can subscribe to do the same.
+*/
+function subscribe(listener) {
+    listeners.push(listener);
+    return function unsubscribe() {
+        var index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+}
+
+function notify() {
+    // A listener may unsubscribe others as it runs, e.g. by unmounting them:
+    listeners.slice().forEach(function (listener) {
+        if (listeners.indexOf(listener) !== -1) {
+            listener();
+        }
+    });
+}
+
+/*
+    Bundles keep string messages, looked up by i18n(), apart from element
+    messages, looked up by <I18N>, so the same text can be both:
+        {strings: {...}, elements: {...}}
+    The bundle of a domain, e.g. "admin", has the same form inside domains:
+        {domains: {admin: {strings: {...}, elements: {...}}}}
+    so it can be added to the others, or loaded as a chunk with loadChunk.
+*/
 function setMessages(messages) {
-    state.messages = messages;
+    state.messages = mergeMessages(messages);
+    notify();
+}
+
+// Add messages to those already set, e.g. from the bundle of one chunk.
+function addMessages(messages) {
+    state.messages = mergeMessages(state.messages, messages);
+    notify();
 }
 
+function mergeMessages() {
+    for (var _len = arguments.length, bundles = Array(_len), _key = 0; _key < _len; _key++) {
+        bundles[_key] = arguments[_key];
+    }
+
+    bundles = bundles.map(upgradeBundle);
+    var domains = {};
+    bundles.forEach(function (b) {
+        return Object.keys(b && b.domains || {}).forEach(function (domain) {
+            domains[domain] = mergeMessages(domains[domain], b.domains[domain]);
+        });
+    });
+    return {
+        strings: Object.assign.apply(Object, [{}].concat(_toConsumableArray(bundles.map(function (b) {
+            return b && b.strings;
+        })))),
+        elements: Object.assign.apply(Object, [{}].concat(_toConsumableArray(bundles.map(function (b) {
+            return b && b.elements;
+        })))),
+        domains: domains
+    };
+}
+
+/*
+    Bundles from before strings and elements were kept apart were keyed by
+    message, with the renderers of both together. They are still accepted,
+    as both strings and elements, with a warning to make them again.
+*/
+function upgradeBundle(bundle) {
+    var flat = Object.keys(bundle || {}).some(function (key) {
+        return ['strings', 'elements', 'domains'].indexOf(key) === -1;
+    });
+    if (!flat) {
+        return bundle;
+    }
+    console.warn('jsxlate: bundles keyed by message are deprecated, and should be of the form {strings, elements}. ' + 'Make them again with bundle-messages.');
+    return { strings: bundle, elements: bundle };
+}
+
+// The messages of a domain, or those in no domain if it isn't given:
+function messagesInDomain(messages, domain) {
+    return domain ? messages.domains[domain] || mergeMessages() : messages;
+}
+
+/*
+    Set the locale by its tag, e.g. setLocale('pl') or setLocale('pt-BR'),
+    to use the CLDR plural rules for it, or with an object of the form
+    {name, pluralFn, ordinalFn}. Rules missing from the object are looked
+    up by its name. A pluralFn gives the cardinal plural category of a
+    number, and an ordinalFn its ordinal category, as used by
+    <Pluralize type="ordinal">.
+*/
 function setLocale(locale) {
-    state.locale = locale;
+    state.locale = resolveLocale(locale);
+    // A bundle still loading for another locale must not replace this one:
+    state.loading = null;
+    notify();
+}
+
+function resolveLocale(locale) {
+    if (typeof locale === 'string') {
+        locale = { name: locale };
+    }
+    var pluralFn = locale.pluralFn || (0, _plurals.cardinalRule)(locale.name);
+    if (!pluralFn) {
+        throw new Error('No plural rules are known for locale ' + locale.name + '; pass a pluralFn.');
+    }
+    return Object.assign({}, locale, {
+        pluralFn: pluralFn,
+        ordinalFn: locale.ordinalFn || (0, _plurals.ordinalRule)(locale.name)
+    });
+}
+
+setLocale('en');
+
+/*
+    Load the bundle for a locale and switch to it, given a map of locale
+    tags to functions which import their bundles, like the loaders.js
+    written by bundle-messages -d:
+
+        loadLocale('fr', {
+            fr: () => import('./i18n/fr.js'),
+            de: () => import('./i18n/de.js')
+        });
+
+    A tag with no loader of its own uses its language's, so 'fr-CA' loads
+    'fr'. Until the bundle arrives, messages keep rendering as they were,
+    which before any bundle is loaded is by their fallbacks; then the
+    locale and messages change together. Returns a promise for the
+    messages. If loadLocale or setLocale is called again before the bundle
+    arrives, only the last call switches locale.
+
+    With the loaders.js written by bundle-messages --split, which maps
+    each locale to loaders for its chunks, the bundles of every chunk
+    loaded so far with loadChunk are loaded for the new locale.
+*/
+function loadLocale(tag, loaders) {
+    var loader = loaderForLocale(loaders, tag);
+    if (!loader) {
+        return Promise.reject(new Error('No bundle can be loaded for locale ' + tag + '.'));
+    }
+    var locale = void 0;
+    try {
+        locale = resolveLocale(tag);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    state.loading = tag;
+    state.pendingMessages = mergeMessages();
+    notify();
+    var loading = typeof loader === 'function' ? Promise.resolve(loader()).then(bundleMessages) : Promise.all(state.chunks.filter(function (name) {
+        return loader[name];
+    }).map(function (name) {
+        return loader[name]();
+    })).then(function (bundles) {
+        return mergeMessages.apply(undefined, _toConsumableArray(bundles.map(bundleMessages)));
+    });
+    return loading.then(function (messages) {
+        if (state.loading === tag) {
+            state.loading = null;
+            state.locale = locale;
+            state.messages = mergeMessages(messages, state.pendingMessages);
+            notify();
+        }
+        return messages;
+    }, function (error) {
+        if (state.loading === tag) {
+            state.loading = null;
+            notify();
+        }
+        throw error;
+    });
+}
+
+// The tag of the locale being loaded by loadLocale, or null.
+function loadingLocale() {
+    return state.loading;
 }
 
-function i18n(original) {
-    var translated = state.messages[original];
-    return translated ? translated() : original;
+/*
+    Load the bundle of a chunk for the current locale, given the loaders.js
+    written by bundle-messages --split, and add its messages to those
+    already loaded. Returns a promise for the chunk's messages. A locale
+    without bundles, such as the one the source is written in, has
+    nothing to load.
+*/
+function loadChunk(name, loaders) {
+    if (state.chunks.indexOf(name) === -1) {
+        state.chunks.push(name);
+    }
+    var tag = state.loading || state.locale.name;
+    var loader = loaderForLocale(loaders, tag);
+    if (!loader) {
+        return Promise.resolve({});
+    }
+    if (!loader[name]) {
+        return Promise.reject(new Error('No bundle can be loaded for chunk ' + name + ' in locale ' + tag + '.'));
+    }
+    return Promise.resolve(loader[name]()).then(function (bundle) {
+        var messages = bundleMessages(bundle);
+        if (state.loading === tag) {
+            state.pendingMessages = mergeMessages(state.pendingMessages, messages);
+        } else if (!state.loading && state.locale.name === tag) {
+            addMessages(messages);
+        }
+        // Otherwise another locale has been chosen, and loadLocale loads
+        // the chunk for it.
+        return messages;
+    });
 }
 
-var I18N = (function (_React$Component) {
-    _inherits(I18N, _React$Component);
+function loaderForLocale(loaders, tag) {
+    while (!loaders[tag] && tag.indexOf('-') !== -1) {
+        tag = tag.slice(0, tag.lastIndexOf('-'));
+    }
+    return loaders[tag];
+}
+
+// Bundles imported as ES modules have their messages as the default export:
+function bundleMessages(bundle) {
+    return bundle && bundle.default || bundle;
+}
+
+// Messages with a context are keyed by the context and message joined
+// with "\u0004"; see translationKey in jsxlate.js.
+function messageKey(message, context) {
+    return context ? context + '\x04' + message : message;
+}
+
+// Messages transformed with hashed ids are looked up by options.id, and
+// those in a domain among the messages of options.domain:
+function translate(messages, original, options) {
+    var context = options && options.context;
+    var id = options && options.id;
+    var strings = messagesInDomain(messages, options && options.domain).strings;
+    var translated = strings[id || messageKey(original, context)];
+    if (!translated) {
+        return original;
+    }
+    // Data bundles hold the translated string itself:
+    return typeof translated === 'function' ? translated() : translated;
+}
+
+function i18n(original, options) {
+    return translate(state.messages, original, options);
+}
+
+/*
+    <I18nProvider locale="cy" messages={bundle}> gives the components
+    inside it their own locale and messages, instead of those set with
+    setLocale and setMessages. Either prop may be left out to use the
+    enclosing provider's, or the global one. The messages are a bundle like
+    those given to setMessages. Use it to render requests in
+    different locales at once on a server, or a preview in a second locale.
+
+    Components of your own can read the provider through React context:
+
+        MyComponent.contextTypes = contextTypes;
+        ...
+        let i18n = this.context.jsxlate.i18n;
+        return <input placeholder={i18n("Search")} />;
+
+    where i18n translates with the provider's messages.
+*/
+var contextTypes = {
+    jsxlate: _react2.default.PropTypes.object
+};
+
+// Outside any provider, the global locale and messages, read when they
+// are used so that setLocale and setMessages are seen:
+var globalContext = {
+    get messages() {
+        return state.messages;
+    },
+    get locale() {
+        return state.locale;
+    },
+    i18n: i18n
+};
+
+// The locale and messages in effect for a component with this context:
+function current(context) {
+    return context && context.jsxlate || globalContext;
+}
+
+var I18nProvider = function (_React$Component) {
+    _inherits(I18nProvider, _React$Component);
+
+    function I18nProvider() {
+        _classCallCheck(this, I18nProvider);
+
+        return _possibleConstructorReturn(this, (I18nProvider.__proto__ || Object.getPrototypeOf(I18nProvider)).apply(this, arguments));
+    }
+
+    _createClass(I18nProvider, [{
+        key: 'getChildContext',
+        value: function getChildContext() {
+            var outer = current(this.context);
+            var messages = this.props.messages && mergeMessages(this.props.messages);
+            var locale = this.props.locale && resolveLocale(this.props.locale);
+            // Whatever isn't given is looked up from outer when it is used, so
+            // that it follows setLocale, setMessages and enclosing providers:
+            var jsxlate = {
+                get messages() {
+                    return messages || outer.messages;
+                },
+                get locale() {
+                    return locale || outer.locale;
+                },
+                i18n: function i18n(original, options) {
+                    return translate(jsxlate.messages, original, options);
+                }
+            };
+            return { jsxlate: jsxlate };
+        }
+    }, {
+        key: 'render',
+        value: function render() {
+            return _react2.default.Children.only(this.props.children);
+        }
+    }]);
+
+    return I18nProvider;
+}(_react2.default.Component);
+
+I18nProvider.contextTypes = contextTypes;
+I18nProvider.childContextTypes = contextTypes;
+I18nProvider.propTypes = {
+    locale: _react2.default.PropTypes.oneOfType([_react2.default.PropTypes.string, _react2.default.PropTypes.object]),
+    messages: _react2.default.PropTypes.object
+};
+
+/*
+    Render a message from a data bundle, as written by
+    bundle-messages -f json; see "Data bundles" in jsxlate.js for the
+    format. args are the values of the message's free variables, and
+    context is what `this` refers to in it.
+*/
+function renderData(data, context, args) {
+    var scope = { this: context };
+    data.args.forEach(function (name, i) {
+        scope[name] = args[i];
+    });
+    return buildNode(data.element, scope);
+}
+
+function buildNode(node, scope) {
+    if (typeof node === 'string') {
+        return node;
+    }
+    if ('expression' in node) {
+        return evaluate(node.expression, scope);
+    }
+    var type = typeof node.type === 'string' ? node.type : evaluate(node.type, scope);
+    var props = {};
+    Object.keys(node.props).forEach(function (name) {
+        props[name] = evaluate(node.props[name], scope);
+    });
+    return _react2.default.createElement.apply(_react2.default, [type, props].concat(_toConsumableArray(node.children.map(function (child) {
+        return buildNode(child, scope);
+    }))));
+}
+
+function evaluate(expression, scope) {
+    if ('literal' in expression) {
+        return expression.literal;
+    } else if (expression.path) {
+        return expression.path.slice(1).reduce(function (value, name) {
+            return value == null ? undefined : value[name];
+        }, scope[expression.path[0]]);
+    } else if (expression.object) {
+        var object = {};
+        Object.keys(expression.object).forEach(function (key) {
+            object[key] = evaluate(expression.object[key], scope);
+        });
+        return object;
+    } else if (expression.array) {
+        return expression.array.map(function (element) {
+            return evaluate(element, scope);
+        });
+    }
+    throw new Error("Unknown expression in message data: " + JSON.stringify(expression));
+}
+
+// Base class for components whose output depends on the messages or
+// locale, which re-renders them when either changes.
+
+var Localized = function (_React$Component2) {
+    _inherits(Localized, _React$Component2);
+
+    function Localized() {
+        _classCallCheck(this, Localized);
+
+        return _possibleConstructorReturn(this, (Localized.__proto__ || Object.getPrototypeOf(Localized)).apply(this, arguments));
+    }
+
+    _createClass(Localized, [{
+        key: 'componentDidMount',
+        value: function componentDidMount() {
+            var _this3 = this;
+
+            this.unsubscribe = subscribe(function () {
+                return _this3.forceUpdate();
+            });
+        }
+    }, {
+        key: 'componentWillUnmount',
+        value: function componentWillUnmount() {
+            this.unsubscribe();
+        }
+    }]);
+
+    return Localized;
+}(_react2.default.Component);
+
+// Renders the translation of its message, or the fallback if there is
+// none. Both are elements, rendered as a <span> or as the marker's tagName.
+// Translations come from the elements of the bundle, so a string message
+// with the same text can't be rendered instead, and from those of its
+// domain prop if the message is in a domain.
+// The props of I18N which are for it, not the element it renders as:
+
+
+var I18N_PROPS = ['message', 'context', 'args', 'fallback', 'domain', 'tagName', 'children'];
+
+var I18N = function (_Localized) {
+    _inherits(I18N, _Localized);
 
     function I18N() {
         _classCallCheck(this, I18N);
 
-        _get(Object.getPrototypeOf(I18N.prototype), 'constructor', this).apply(this, arguments);
+        return _possibleConstructorReturn(this, (I18N.__proto__ || Object.getPrototypeOf(I18N)).apply(this, arguments));
     }
 
     _createClass(I18N, [{
         key: 'render',
         value: function render() {
-            var renderer = state.messages[this.props.message];
+            var messages = messagesInDomain(current(this.context).messages, this.props.domain);
+            var renderer = messages.elements[this.props.message];
             if (renderer) {
-                var rendered = renderer.apply(this.props.context, this.props.args);
-                // TODO: this check would be unnecessary if collisions between
-                // source and react child strings were impossible.
-                if (Object.prototype.toString.call(rendered) === '[object String]') {
-                    return _react2['default'].createElement(
-                        'span',
-                        null,
-                        rendered
-                    );
-                } else {
-                    return rendered;
-                }
+                var rendered = typeof renderer === 'function' ? renderer.apply(this.props.context, this.props.args) : renderData(renderer, this.props.context, this.props.args);
+                return this.asMarker(rendered);
             }
             return this.props.fallback.call(this.props.context);
         }
+
+        // Translations are shared by every marker with the same message, so
+        // they render as a <span>, which becomes this marker's tagName with
+        // its other attributes:
+
+    }, {
+        key: 'asMarker',
+        value: function asMarker(rendered) {
+            var _this5 = this;
+
+            var props = {};
+            Object.keys(this.props).forEach(function (name) {
+                if (I18N_PROPS.indexOf(name) === -1) {
+                    props[name] = _this5.props[name];
+                }
+            });
+            // A string, from a deprecated bundle keyed by message, is the child:
+            var children = typeof rendered === 'string' ? rendered : rendered.props.children;
+            return _react2.default.createElement.apply(_react2.default, [this.props.tagName || 'span', props].concat(_toConsumableArray([].concat(children))));
+        }
     }]);
 
     return I18N;
-})(_react2['default'].Component);
+}(Localized);
+
+I18N.contextTypes = contextTypes;
 
-var Match = (function (_React$Component2) {
-    _inherits(Match, _React$Component2);
+var Match = function (_React$Component3) {
+    _inherits(Match, _React$Component3);
 
     function Match() {
         _classCallCheck(this, Match);
 
-        _get(Object.getPrototypeOf(Match.prototype), 'constructor', this).apply(this, arguments);
+        return _possibleConstructorReturn(this, (Match.__proto__ || Object.getPrototypeOf(Match)).apply(this, arguments));
     }
 
     _createClass(Match, [{
         key: 'render',
         value: function render() {
-            return _react2['default'].createElement(
+            return _react2.default.createElement(
                 'span',
                 null,
                 this.props.children
@@ -94,20 +531,20 @@ var Match = (function (_React$Component2) {
     }]);
 
     return Match;
-})(_react2['default'].Component);
+}(_react2.default.Component);
 
 Match._isMatch = true;
 Match.propTypes = {
-    when: _react2['default'].PropTypes.string
+    when: _react2.default.PropTypes.string
 };
 
-var Pluralize = (function (_React$Component3) {
-    _inherits(Pluralize, _React$Component3);
+var Pluralize = function (_Localized2) {
+    _inherits(Pluralize, _Localized2);
 
     function Pluralize() {
         _classCallCheck(this, Pluralize);
 
-        _get(Object.getPrototypeOf(Pluralize.prototype), 'constructor', this).apply(this, arguments);
+        return _possibleConstructorReturn(this, (Pluralize.__proto__ || Object.getPrototypeOf(Pluralize)).apply(this, arguments));
     }
 
     _createClass(Pluralize, [{
@@ -131,48 +568,103 @@ var Pluralize = (function (_React$Component3) {
             // TODO: this probably should happen in componentWillMount,
             // it is not likely useful to allow for dynamic children of Pluralize.
             var children = [];
-            _react2['default'].Children.forEach(this.props.children, function (c) {
+            _react2.default.Children.forEach(this.props.children, function (c) {
                 return children.push(c);
             });
             children = children.reduce(this.classifyMatches.bind(this), {});
 
-            var form = state.locale.pluralFn(this.props.on);
+            var locale = current(this.context).locale;
+            var ordinal = this.props.type === 'ordinal';
+            var pluralFn = ordinal ? locale.ordinalFn : locale.pluralFn;
+            if (!pluralFn) {
+                throw new Error('Locale ' + locale.name + ' has no ' + (ordinal ? 'ordinal' : 'plural') + ' rule');
+            }
+            var form = pluralFn(this.props.on);
             var match = children[this.props.on] || children[form];
             if (!match) {
-                throw new Error('Missing plural form: ' + form);
+                throw new Error("Missing plural form: " + form);
             }
             return match;
         }
     }]);
 
     return Pluralize;
-})(_react2['default'].Component);
+}(Localized);
+
+function onlyMatchChildren(props, propName, componentName) {
+    var nonTextChildren = [].concat(props[propName]).filter(function (c) {
+        return Object.prototype.toString.call(c) !== '[object String]';
+    });
+    var nonMatchChildren = nonTextChildren.filter(function (c) {
+        return !c.type._isMatch;
+    });
+    if (nonMatchChildren.length) {
+        return new Error(componentName + " given children other than a Match: " + nonMatchChildren.map(function (c) {
+            return c.type.displayName || c.type.name || c.type;
+        }));
+    }
+}
 
+Pluralize.contextTypes = contextTypes;
 Pluralize.propTypes = {
-    on: _react2['default'].PropTypes.number,
-    children: function children(props, propName, componentName) {
-        var nonTextChildren = props[propName].filter(function (c) {
-            return Object.prototype.toString.call(c) !== '[object String]';
-        });
-        var nonMatchChildren = nonTextChildren.filter(function (c) {
-            return !c.type._isMatch;
-        });
-        if (nonMatchChildren.length) {
-            return new Error('Pluralize given children other than a Match: ' + nonMatchChildren.map(function (c) {
-                return c.type.displayName || c.type.name || c.type;
-            }));
-        }
+    on: _react2.default.PropTypes.number,
+    type: _react2.default.PropTypes.oneOf(['cardinal', 'ordinal']),
+    children: onlyMatchChildren
+
+    // Chooses the Match whose `when` is the value of `on`, e.g. a gender,
+    // or else the Match for "other", which every Select must have.
+};
+var Select = function (_React$Component4) {
+    _inherits(Select, _React$Component4);
+
+    function Select() {
+        _classCallCheck(this, Select);
+
+        return _possibleConstructorReturn(this, (Select.__proto__ || Object.getPrototypeOf(Select)).apply(this, arguments));
     }
+
+    _createClass(Select, [{
+        key: 'render',
+        value: function render() {
+            var children = {};
+            _react2.default.Children.forEach(this.props.children, function (c) {
+                if (c && c.props) {
+                    children[c.props.when] = c;
+                }
+            });
+
+            var match = children[this.props.on] || children.other;
+            if (!match) {
+                throw new Error("Select is missing the other form for: " + this.props.on);
+            }
+            return match;
+        }
+    }]);
+
+    return Select;
+}(_react2.default.Component);
+
+Select.propTypes = {
+    on: _react2.default.PropTypes.string,
+    children: onlyMatchChildren
 };
 
-exports['default'] = {
+exports.default = {
     i18n: i18n,
     I18N: I18N,
     setMessages: setMessages,
+    addMessages: addMessages,
     setLocale: setLocale,
+    subscribe: subscribe,
+    loadLocale: loadLocale,
+    loadingLocale: loadingLocale,
+    loadChunk: loadChunk,
+    I18nProvider: I18nProvider,
+    contextTypes: contextTypes,
     Pluralize: Pluralize,
     Match: Match,
-    Format: ['Pluralize', 'Match']
+    Select: Select,
+    Format: ['Pluralize', 'Match', 'Select']
 };
 module.exports = exports['default'];
 
@@ -0,0 +1,99 @@
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+/*
+    A project is configured with a JSON .jsxlaterc, or with a
+    jsxlate.config.js module exporting the same object, e.g.
+
+    {
+        "markers": {"string": ["i18n"], "element": ["I18N"]},
+        "allowedAttributes": {"img": ["alt"], "Link": ["to"]}
+    }
+
+    The nearest such file in the given directory or its ancestors is used.
+    It may also give the "chunks" that bundle-messages --split bundles
+    separately, as {"admin": ["src/admin"], "shop": ["src/shop", "src/cart.js"]},
+    and the default "domains" of messages in each directory or file, in the
+    same form, e.g. {"admin": ["src/admin"]}. These paths are relative to
+    the directory of the configuration file.
+*/
+var FILENAMES = ['.jsxlaterc', 'jsxlate.config.js'];
+
+function find(dir) {
+    dir = path.resolve(dir);
+    while (true) {
+        for (var i = 0; i < FILENAMES.length; i++) {
+            var filename = path.join(dir, FILENAMES[i]);
+            if (fs.existsSync(filename)) return filename;
+        }
+        var parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+function read(filename) {
+    filename = path.resolve(filename);
+    if (path.extname(filename) === '.js') {
+        return resolvePaths(require(filename), path.dirname(filename));
+    }
+    try {
+        var config = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (err) {
+        throw new Error("Could not parse " + filename + ": " + err.message);
+    }
+    return resolvePaths(config, path.dirname(filename));
+}
+
+// The tools may be run from any directory, so make the paths of chunks
+// and domains absolute:
+function resolvePaths(config, dir) {
+    var resolved = Object.assign({}, config);
+    ['chunks', 'domains'].forEach(function (key) {
+        if (config[key]) {
+            resolved[key] = {};
+            Object.keys(config[key]).forEach(function (name) {
+                resolved[key][name] = [].concat(config[key][name]).map(function (p) {
+                    return path.resolve(dir, p);
+                });
+            });
+        }
+    });
+    return resolved;
+}
+
+function load(dir) {
+    var filename = find(dir || process.cwd());
+    return filename ? read(filename) : {};
+}
+
+/*
+    The default domain of the messages in the given file, from the
+    configured "domains", or undefined if it is in none of them. Where
+    domains are nested, the most specific path wins.
+*/
+function domainForFile(config, filename) {
+    var file = path.resolve(filename);
+    var domains = config.domains || {};
+    var best;
+    Object.keys(domains).forEach(function (domain) {
+        [].concat(domains[domain]).forEach(function (domainPath) {
+            var resolved = path.resolve(domainPath);
+            var contains = file === resolved || file.indexOf(resolved + path.sep) === 0;
+            if (contains && (!best || resolved.length > best.path.length)) {
+                best = { domain: domain, path: resolved };
+            }
+        });
+    });
+    return best && best.domain;
+}
+
+module.exports = {
+    find: find,
+    read: read,
+    load: load,
+    domainForFile: domainForFile
+};
+
@@ -0,0 +1,442 @@
+"use strict";
+
+/*****************************************************************************
+CLDR plural rules.
+
+Each language has a cardinal rule, for counting ("1 item", "2 items"), and
+an ordinal rule, for ranking ("1st", "2nd"), which give the plural category
+of a number: one of zero, one, two, few, many or other. The rules below are
+transcribed from the CLDR plural rules, in terms of its operands:
+
+    n   the absolute value of the number
+    i   its integer digits
+    v   the number of its visible fraction digits, with trailing zeros
+    f   its visible fraction digits, with trailing zeros
+    t   its visible fraction digits, without trailing zeros
+
+Pass numbers with significant trailing zeros as strings, e.g. "1.50".
+Rules are looked up by locale tag, falling back to less specific tags, so
+that pt-BR uses the rules for pt while pt-PT has its own.
+*****************************************************************************/
+
+function operands(number) {
+    var str = String(number).replace(/^[-+]/, '');
+    var parts = str.split('.');
+    var fraction = parts[1] || '';
+    return {
+        n: Math.abs(Number(number)),
+        i: parseInt(parts[0], 10),
+        v: fraction.length,
+        f: parseInt(fraction || '0', 10),
+        t: parseInt(fraction.replace(/0+$/, '') || '0', 10)
+    };
+}
+
+// As in CLDR, a range only contains integers:
+function within(x, low, high) {
+    return x % 1 === 0 && x >= low && x <= high;
+}
+
+function isIn(x, list) {
+    return list.indexOf(x) !== -1;
+}
+
+// CLDR's rule for "many" in French, Spanish and the like, for integers:
+function isMillions(o) {
+    return o.i !== 0 && o.i % 1000000 === 0 && o.v === 0;
+}
+
+var cardinals = {};
+var ordinals = {};
+
+function rule(table, languages, fn) {
+    languages.split(' ').forEach(function (language) {
+        table[language] = fn;
+    });
+}
+
+/*****************************************************************************
+    Cardinal rules
+*****************************************************************************/
+
+rule(cardinals, 'bm bo dz id ig ii in ja jbo jv jw kde kea km ko lkt lo ms my nqo osa sah ses sg su th to tpi vi wo yo yue zh', function (o) {
+    return 'other';
+});
+
+rule(cardinals, 'am as bn doi fa gu hi kn pcm zu', function (o) {
+    return o.i === 0 || o.n === 1 ? 'one' : 'other';
+});
+
+rule(cardinals, 'ff hy kab', function (o) {
+    return o.i === 0 || o.i === 1 ? 'one' : 'other';
+});
+
+rule(cardinals, 'fr', function (o) {
+    return o.i === 0 || o.i === 1 ? 'one' : isMillions(o) ? 'many' : 'other';
+});
+
+rule(cardinals, 'pt', function (o) {
+    return within(o.i, 0, 1) ? 'one' : isMillions(o) ? 'many' : 'other';
+});
+
+rule(cardinals, 'ak bho guw ln mg nso pa ti wa', function (o) {
+    return within(o.n, 0, 1) ? 'one' : 'other';
+});
+
+rule(cardinals, 'ast de en et fi fy gl ia io ji lij nl sc sv sw ur yi', function (o) {
+    return o.i === 1 && o.v === 0 ? 'one' : 'other';
+});
+
+rule(cardinals, 'ca it pt-PT', function (o) {
+    return o.i === 1 && o.v === 0 ? 'one' : isMillions(o) ? 'many' : 'other';
+});
+
+rule(cardinals, 'es', function (o) {
+    return o.n === 1 ? 'one' : isMillions(o) ? 'many' : 'other';
+});
+
+rule(cardinals, 'af an asa az bal bem bez bg brx ce cgg chr ckb dv ee el eo eu fo fur gsw ha haw hu jgo jmc ka kaj kcg kk kkj kl ks ksb ku ky lb lg mas mgo ml mn mr nah nb nd ne nn nnh no nr ny nyn om or os pap ps rm rof rwk saq sd sdh seh sn so sq ss ssy st syr ta te teo tig tk tn tr ts ug uz ve vo vun wae xh xog', function (o) {
+    return o.n === 1 ? 'one' : 'other';
+});
+
+rule(cardinals, 'da', function (o) {
+    return o.n === 1 || o.t !== 0 && (o.i === 0 || o.i === 1) ? 'one' : 'other';
+});
+
+rule(cardinals, 'is', function (o) {
+    return o.t === 0 && o.i % 10 === 1 && o.i % 100 !== 11 || o.t % 10 === 1 && o.t % 100 !== 11 ? 'one' : 'other';
+});
+
+rule(cardinals, 'mk', function (o) {
+    return o.v === 0 && o.i % 10 === 1 && o.i % 100 !== 11 || o.f % 10 === 1 && o.f % 100 !== 11 ? 'one' : 'other';
+});
+
+rule(cardinals, 'ceb fil tl', function (o) {
+    return o.v === 0 && isIn(o.i, [1, 2, 3]) || o.v === 0 && !isIn(o.i % 10, [4, 6, 9]) || o.v !== 0 && !isIn(o.f % 10, [4, 6, 9]) ? 'one' : 'other';
+});
+
+rule(cardinals, 'lv prg', function (o) {
+    if (o.n % 10 === 0 || within(o.n % 100, 11, 19) || o.v === 2 && within(o.f % 100, 11, 19)) return 'zero';
+    if (o.n % 10 === 1 && o.n % 100 !== 11 || o.v === 2 && o.f % 10 === 1 && o.f % 100 !== 11 || o.v !== 2 && o.f % 10 === 1) return 'one';
+    return 'other';
+});
+
+rule(cardinals, 'he iw', function (o) {
+    if (o.i === 1 && o.v === 0 || o.i === 0 && o.v !== 0) return 'one';
+    if (o.i === 2 && o.v === 0) return 'two';
+    return 'other';
+});
+
+rule(cardinals, 'iu naq sat se sma smi smj smn sms', function (o) {
+    return o.n === 1 ? 'one' : o.n === 2 ? 'two' : 'other';
+});
+
+rule(cardinals, 'mo ro', function (o) {
+    if (o.i === 1 && o.v === 0) return 'one';
+    if (o.v !== 0 || o.n === 0 || o.n !== 1 && within(o.n % 100, 1, 19)) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'bs hr sh sr', function (o) {
+    if (o.v === 0 && o.i % 10 === 1 && o.i % 100 !== 11 || o.f % 10 === 1 && o.f % 100 !== 11) return 'one';
+    if (o.v === 0 && within(o.i % 10, 2, 4) && !within(o.i % 100, 12, 14) || within(o.f % 10, 2, 4) && !within(o.f % 100, 12, 14)) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'gd', function (o) {
+    if (o.n === 1 || o.n === 11) return 'one';
+    if (o.n === 2 || o.n === 12) return 'two';
+    if (within(o.n, 3, 10) || within(o.n, 13, 19)) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'sl', function (o) {
+    if (o.v === 0 && o.i % 100 === 1) return 'one';
+    if (o.v === 0 && o.i % 100 === 2) return 'two';
+    if (o.v === 0 && within(o.i % 100, 3, 4) || o.v !== 0) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'dsb hsb', function (o) {
+    if (o.v === 0 && o.i % 100 === 1 || o.f % 100 === 1) return 'one';
+    if (o.v === 0 && o.i % 100 === 2 || o.f % 100 === 2) return 'two';
+    if (o.v === 0 && within(o.i % 100, 3, 4) || within(o.f % 100, 3, 4)) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'cs sk', function (o) {
+    if (o.i === 1 && o.v === 0) return 'one';
+    if (within(o.i, 2, 4) && o.v === 0) return 'few';
+    if (o.v !== 0) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'pl', function (o) {
+    if (o.i === 1 && o.v === 0) return 'one';
+    if (o.v === 0 && within(o.i % 10, 2, 4) && !within(o.i % 100, 12, 14)) return 'few';
+    if (o.v === 0 && o.i !== 1 && within(o.i % 10, 0, 1) || o.v === 0 && within(o.i % 10, 5, 9) || o.v === 0 && within(o.i % 100, 12, 14)) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'be', function (o) {
+    if (o.n % 10 === 1 && o.n % 100 !== 11) return 'one';
+    if (within(o.n % 10, 2, 4) && !within(o.n % 100, 12, 14)) return 'few';
+    if (o.n % 10 === 0 || within(o.n % 10, 5, 9) || within(o.n % 100, 11, 14)) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'lt', function (o) {
+    if (o.f !== 0) return 'many';
+    if (o.n % 10 === 1 && !within(o.n % 100, 11, 19)) return 'one';
+    if (within(o.n % 10, 2, 9) && !within(o.n % 100, 11, 19)) return 'few';
+    return 'other';
+});
+
+rule(cardinals, 'ru uk', function (o) {
+    if (o.v !== 0) return 'other';
+    if (o.i % 10 === 1 && o.i % 100 !== 11) return 'one';
+    if (within(o.i % 10, 2, 4) && !within(o.i % 100, 12, 14)) return 'few';
+    return 'many';
+});
+
+rule(cardinals, 'mt', function (o) {
+    if (o.n === 1) return 'one';
+    if (o.n === 2) return 'two';
+    if (o.n === 0 || within(o.n % 100, 3, 10)) return 'few';
+    if (within(o.n % 100, 11, 19)) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'ga', function (o) {
+    if (o.n === 1) return 'one';
+    if (o.n === 2) return 'two';
+    if (within(o.n, 3, 6)) return 'few';
+    if (within(o.n, 7, 10)) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'ar ars', function (o) {
+    if (o.n === 0) return 'zero';
+    if (o.n === 1) return 'one';
+    if (o.n === 2) return 'two';
+    if (within(o.n % 100, 3, 10)) return 'few';
+    if (within(o.n % 100, 11, 99)) return 'many';
+    return 'other';
+});
+
+rule(cardinals, 'cy', function (o) {
+    if (o.n === 0) return 'zero';
+    if (o.n === 1) return 'one';
+    if (o.n === 2) return 'two';
+    if (o.n === 3) return 'few';
+    if (o.n === 6) return 'many';
+    return 'other';
+});
+
+/*****************************************************************************
+    Ordinal rules
+*****************************************************************************/
+
+rule(ordinals, 'af am an ar bg bs ce cs da de dsb el es et eu fa fi fy gl gsw he hr hsb ia id in is iw ja km kn ko ky lt lv ml mn mt my nb nl no pa pl prg ps pt ru sd sh si sk sl sr sw ta te th tpi tr ur uz yue zh zu', function (o) {
+    return 'other';
+});
+
+rule(ordinals, 'en', function (o) {
+    if (o.n % 10 === 1 && o.n % 100 !== 11) return 'one';
+    if (o.n % 10 === 2 && o.n % 100 !== 12) return 'two';
+    if (o.n % 10 === 3 && o.n % 100 !== 13) return 'few';
+    return 'other';
+});
+
+rule(ordinals, 'bal fil fr ga hy lo mo ms ro tl vi', function (o) {
+    return o.n === 1 ? 'one' : 'other';
+});
+
+rule(ordinals, 'sv', function (o) {
+    return isIn(o.n % 10, [1, 2]) && !isIn(o.n % 100, [11, 12]) ? 'one' : 'other';
+});
+
+rule(ordinals, 'hu', function (o) {
+    return o.n === 1 || o.n === 5 ? 'one' : 'other';
+});
+
+rule(ordinals, 'it sc', function (o) {
+    return isIn(o.n, [11, 8, 80, 800]) ? 'many' : 'other';
+});
+
+rule(ordinals, 'ca', function (o) {
+    if (o.n === 1 || o.n === 3) return 'one';
+    if (o.n === 2) return 'two';
+    if (o.n === 4) return 'few';
+    return 'other';
+});
+
+rule(ordinals, 'cy', function (o) {
+    if (isIn(o.n, [0, 7, 8, 9])) return 'zero';
+    if (o.n === 1) return 'one';
+    if (o.n === 2) return 'two';
+    if (o.n === 3 || o.n === 4) return 'few';
+    if (o.n === 5 || o.n === 6) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'ka', function (o) {
+    if (o.i === 1) return 'one';
+    if (o.i === 0 || within(o.i % 100, 2, 20) || isIn(o.i % 100, [40, 60, 80])) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'kk', function (o) {
+    return o.n % 10 === 6 || o.n % 10 === 9 || o.n % 10 === 0 && o.n !== 0 ? 'many' : 'other';
+});
+
+rule(ordinals, 'mk', function (o) {
+    if (o.i % 10 === 1 && o.i % 100 !== 11) return 'one';
+    if (o.i % 10 === 2 && o.i % 100 !== 12) return 'two';
+    if (isIn(o.i % 10, [7, 8]) && !isIn(o.i % 100, [17, 18])) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'gu hi', function (o) {
+    if (o.n === 1) return 'one';
+    if (o.n === 2 || o.n === 3) return 'two';
+    if (o.n === 4) return 'few';
+    if (o.n === 6) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'as bn', function (o) {
+    if (isIn(o.n, [1, 5, 7, 8, 9, 10])) return 'one';
+    if (o.n === 2 || o.n === 3) return 'two';
+    if (o.n === 4) return 'few';
+    if (o.n === 6) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'or', function (o) {
+    if (o.n === 1 || o.n === 5 || within(o.n, 7, 9)) return 'one';
+    if (o.n === 2 || o.n === 3) return 'two';
+    if (o.n === 4) return 'few';
+    if (o.n === 6) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'mr', function (o) {
+    if (o.n === 1) return 'one';
+    if (o.n === 2 || o.n === 3) return 'two';
+    if (o.n === 4) return 'few';
+    return 'other';
+});
+
+rule(ordinals, 'ne', function (o) {
+    return within(o.n, 1, 4) ? 'one' : 'other';
+});
+
+rule(ordinals, 'sq', function (o) {
+    if (o.n === 1) return 'one';
+    if (o.n % 10 === 4 && o.n % 100 !== 14) return 'many';
+    return 'other';
+});
+
+rule(ordinals, 'uk', function (o) {
+    return o.n % 10 === 3 && o.n % 100 !== 13 ? 'few' : 'other';
+});
+
+rule(ordinals, 'tk', function (o) {
+    return isIn(o.n % 10, [6, 9]) || o.n === 10 ? 'few' : 'other';
+});
+
+rule(ordinals, 'be', function (o) {
+    return isIn(o.n % 10, [2, 3]) && !isIn(o.n % 100, [12, 13]) ? 'few' : 'other';
+});
+
+rule(ordinals, 'gd', function (o) {
+    if (o.n === 1 || o.n === 11) return 'one';
+    if (o.n === 2 || o.n === 12) return 'two';
+    if (o.n === 3 || o.n === 13) return 'few';
+    return 'other';
+});
+
+/*****************************************************************************
+    Lookup
+*****************************************************************************/
+
+/*
+    Given a table of rules and a locale tag like "pt-BR" or "pt_BR", return
+    the rule for the most specific tag that has one, e.g. "pt-BR" or "pt".
+*/
+function lookup(table, tag) {
+    var subtags = String(tag).replace(/_/g, '-').split('-');
+    while (subtags.length) {
+        var candidate = subtags.join('-');
+        var found = Object.keys(table).filter(function (key) {
+            return key.toLowerCase() === candidate.toLowerCase();
+        })[0];
+        if (found) {
+            return table[found];
+        }
+        subtags.pop();
+    }
+    return undefined;
+}
+
+function wrap(fn) {
+    return fn && function (number) {
+        return fn(operands(number));
+    };
+}
+
+/*
+    Return the cardinal plural rule for a locale tag, as a function from a
+    number to its plural category, or undefined if it isn't known.
+*/
+module.exports.cardinalRule = function cardinalRule(tag) {
+    return wrap(lookup(cardinals, tag));
+};
+
+/*
+    Return the ordinal plural rule for a locale tag, or undefined.
+*/
+module.exports.ordinalRule = function ordinalRule(tag) {
+    return wrap(lookup(ordinals, tag));
+};
+
+// Enough numbers to reach every category of every rule above:
+var SAMPLES = function () {
+    var samples = [1000, 10000, 100000, 1000000];
+    for (var i = 0; i <= 200; i++) {
+        samples.push(i);
+        if (i <= 30) {
+            ['0', '1', '2', '5', '00', '01', '02', '11', '21'].forEach(function (fraction) {
+                samples.push(i + '.' + fraction);
+            });
+        }
+    }
+    return samples;
+}();
+
+var CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+function categories(fn) {
+    if (!fn) return undefined;
+    var found = SAMPLES.map(function (n) {
+        return fn(operands(n));
+    });
+    return CATEGORY_ORDER.filter(function (category) {
+        return found.indexOf(category) !== -1;
+    });
+}
+
+/*
+    Return the plural categories used by a locale's cardinal or ordinal
+    rule, e.g. ['one', 'few', 'many', 'other'] for Russian cardinals, or
+    undefined if the locale isn't known.
+*/
+module.exports.cardinalCategories = function cardinalCategories(tag) {
+    return categories(lookup(cardinals, tag));
+};
+
+module.exports.ordinalCategories = function ordinalCategories(tag) {
+    return categories(lookup(ordinals, tag));
+};
+
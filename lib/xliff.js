@@ -0,0 +1,316 @@
+"use strict";
+
+/*****************************************************************************
+Reading and writing XLIFF 1.2 and 2.0 files.
+
+Each message becomes a unit whose name (resname in 1.2) is the message
+itself. The markup in JSX messages is shown to translators as inline codes,
+so that it can be moved around but not broken:
+
+    Hello, <a:link href="foo">{name}</a:link>!
+
+is written in XLIFF 1.2 as
+
+    Hello, <g id="1"><x id="2" equiv-text="{name}"/></g>!
+
+and in XLIFF 2.0 as
+
+    Hello, <pc id="1" dispStart="&lt;a:link href=&quot;foo&quot;&gt;" dispEnd="&lt;/a:link&gt;"><ph id="2" disp="{name}"/></pc>!
+
+Codes are numbered in the order they appear in the message. When reading
+a translated file, the codes in each target are turned back into JSX by
+numbering the codes of the unit's message in the same way.
+
+String messages have no markup and are written as plain text; units are
+marked with their kind so that they are read back the same way. Translator
+comments on a message are written as developer notes, and its context, if
+any, as a context group in 1.2 and as metadata in 2.0.
+*****************************************************************************/
+
+var _slicedToArray = function () { function sliceIterator(arr, i) { var _arr = []; var _n = true; var _d = false; var _e = undefined; try { for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) { _arr.push(_s.value); if (i && _arr.length === i) break; } } catch (err) { _d = true; _e = err; } finally { try { if (!_n && _i["return"]) _i["return"](); } finally { if (_d) throw _e; } } return _arr; } return function (arr, i) { if (Array.isArray(arr)) { return arr; } else if (Symbol.iterator in Object(arr)) { return sliceIterator(arr, i); } else { throw new TypeError("Invalid attempt to destructure non-iterable instance"); } }; }();
+
+var jsxlate = require('./jsxlate');
+
+var NAMESPACES = {
+    '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+    '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+};
+var METADATA_NAMESPACE = 'urn:oasis:names:tc:xliff:metadata:2.0';
+
+/*****************************************************************************
+    Writing
+*****************************************************************************/
+
+/*
+    Given an array of entries of the form {message, kind, context, comments},
+    of which context and comments are optional, return the text of an XLIFF file with a unit for each message. Options:
+        version: '1.2' (the default) or '2.0'
+        sourceLanguage: defaults to 'en'
+*/
+module.exports.formatXliff = function formatXliff(entries, options) {
+    options = options || {};
+    var version = options.version || '1.2';
+    var sourceLanguage = options.sourceLanguage || 'en';
+    if (!NAMESPACES[version]) {
+        throw new Error('Unsupported XLIFF version: ' + version);
+    }
+
+    var units = entries.map(function (entry, i) {
+        return formatUnit(entry, i + 1, version);
+    });
+    if (version === '1.2') {
+        return xmlDeclaration() + ('<xliff version="1.2" xmlns="' + NAMESPACES['1.2'] + '">\n') + ('  <file original="messages" datatype="plaintext" source-language="' + escapeXml(sourceLanguage) + '">\n') + ('    <body>\n' + units.join('') + '    </body>\n') + '  </file>\n' + '</xliff>\n';
+    } else {
+        return xmlDeclaration() + ('<xliff version="2.0" xmlns="' + NAMESPACES['2.0'] + '" xmlns:mda="' + METADATA_NAMESPACE + '" srcLang="' + escapeXml(sourceLanguage) + '">\n') + ('  <file id="messages">\n' + units.join('') + '  </file>\n') + '</xliff>\n';
+    }
+};
+
+function xmlDeclaration() {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n';
+}
+
+function formatUnit(entry, id, version) {
+    var source = entry.kind === 'string' ? escapeXml(entry.message) : formatParts(numberParts(jsxlate.messageParts(entry.message)), version);
+    var name = escapeXml(entry.message);
+    var comments = entry.comments || [];
+    if (version === '1.2') {
+        return '      <trans-unit id="' + id + '" resname="' + name + '" restype="x-jsx-' + entry.kind + '">\n' + ('        <source xml:space="preserve">' + source + '</source>\n') + (entry.context ? '        <context-group purpose="information">\n' + ('          <context context-type="x-jsx-context">' + escapeXml(entry.context) + '</context>\n') + '        </context-group>\n' : '') + comments.map(function (c) {
+            return '        <note from="developer">' + escapeXml(c) + '</note>\n';
+        }).join('') + '      </trans-unit>\n';
+    } else {
+        var notes = comments.length ? '      <notes>\n' + comments.map(function (c) {
+            return '        <note category="developer">' + escapeXml(c) + '</note>\n';
+        }).join('') + '      </notes>\n' : '';
+        var metadata = entry.context ? '      <mda:metadata>\n' + '        <mda:metaGroup category="jsxlate">\n' + ('          <mda:meta type="context">' + escapeXml(entry.context) + '</mda:meta>\n') + '        </mda:metaGroup>\n' + '      </mda:metadata>\n' : '';
+        return '    <unit id="u' + id + '" name="' + name + '" type="jsx:' + entry.kind + '">\n' + metadata + notes + '      <segment>\n' + ('        <source xml:space="preserve">' + source + '</source>\n') + '      </segment>\n' + '    </unit>\n';
+    }
+}
+
+function formatParts(parts, version) {
+    return parts.map(function (part) {
+        if (part.text !== undefined) {
+            return escapeXml(part.text);
+        } else if (part.code !== undefined) {
+            return version === '1.2' ? '<x id="' + part.id + '" equiv-text="' + escapeXml(part.code) + '"/>' : '<ph id="' + part.id + '" disp="' + escapeXml(part.code) + '"/>';
+        } else {
+            var children = formatParts(part.children, version);
+            return version === '1.2' ? '<g id="' + part.id + '">' + children + '</g>' : '<pc id="' + part.id + '" dispStart="' + escapeXml(part.open) + '" dispEnd="' + escapeXml(part.close) + '">' + children + '</pc>';
+        }
+    }).join('');
+}
+
+/*
+    Give each code in the parts of a message an id, in order of appearance,
+    and return the parts.
+*/
+function numberParts(parts) {
+    var nextId = 1;
+    function number(parts) {
+        parts.forEach(function (part) {
+            if (part.text === undefined) {
+                part.id = String(nextId++);
+            }
+            if (part.children) {
+                number(part.children);
+            }
+        });
+        return parts;
+    }
+    return number(parts);
+}
+
+function codesById(parts, codes) {
+    codes = codes || {};
+    parts.forEach(function (part) {
+        if (part.id) {
+            codes[part.id] = part;
+        }
+        if (part.children) {
+            codesById(part.children, codes);
+        }
+    });
+    return codes;
+}
+
+function escapeXml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/*****************************************************************************
+    Reading
+*****************************************************************************/
+
+/*
+    Given the text of an XLIFF 1.2 or 2.0 file, return a translations
+    dictionary like the ones read from JSON. Units without a target, or
+    with an empty one, are left out. Units with a context are keyed by
+    their context and message, as in jsxlate.translationKey.
+*/
+module.exports.translationsFromXliff = function translationsFromXliff(src) {
+    var units = findElements(parseXml(src), ['trans-unit', 'unit']);
+    return units.reduce(function (translations, unit) {
+        var message = unit.attributes.resname || unit.attributes.name;
+        if (message === undefined) {
+            throw new Error('XLIFF unit ' + unit.attributes.id + ' has no resname or name to identify its message.');
+        }
+        var targets = targetsOfUnit(unit);
+        if (!targets.some(function (t) {
+            return t.children.length;
+        })) {
+            return translations;
+        }
+        var isString = /string$/.test(unit.attributes.restype || unit.attributes.type || '');
+        var codes = isString ? {} : codesById(numberParts(jsxlate.messageParts(message)));
+        try {
+            translations[jsxlate.translationKey(message, contextOfUnit(unit))] = targets.map(function (target) {
+                return contentToJsx(target.children, codes, isString);
+            }).join('');
+        } catch (e) {
+            throw new Error('In XLIFF unit ' + unit.attributes.id + ': ' + e.message);
+        }
+        return translations;
+    }, {});
+};
+
+function contentToJsx(nodes, codes, isString) {
+    return nodes.map(function (node) {
+        if (typeof node === 'string') {
+            return isString ? node : escapeJsxText(node);
+        }
+        var name = localName(node.name);
+        var code = codes[node.attributes.id];
+        if (name === 'mrk') {
+            return contentToJsx(node.children, codes, isString);
+        } else if (['g', 'pc', 'x', 'ph'].indexOf(name) === -1) {
+            throw new Error('unsupported inline element <' + node.name + '>');
+        } else if (!code) {
+            throw new Error('inline code <' + node.name + ' id="' + node.attributes.id + '"> is not in the original message');
+        } else if (name === 'g' || name === 'pc') {
+            if (code.open === undefined) {
+                throw new Error('inline code ' + code.id + ' should be a placeholder, not <' + node.name + '>');
+            }
+            return code.open + contentToJsx(node.children, codes, isString) + code.close;
+        } else {
+            if (code.code === undefined) {
+                throw new Error('inline code ' + code.id + ' should enclose text, not be a placeholder');
+            }
+            return code.code;
+        }
+    }).join('');
+}
+
+function escapeJsxText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/{/g, '&#123;').replace(/}/g, '&#125;');
+}
+
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+function childElements(node, names) {
+    return node.children.filter(function (child) {
+        return typeof child !== 'string' && names.indexOf(localName(child.name)) !== -1;
+    });
+}
+
+// In 1.2 the target is a child of the unit, in 2.0 of each of its segments.
+function targetsOfUnit(unit) {
+    return childElements(unit, ['segment', 'ignorable']).reduce(function (targets, segment) {
+        return targets.concat(childElements(segment, ['target']));
+    }, childElements(unit, ['target']));
+}
+
+function contextOfUnit(unit) {
+    var context = findElements(unit, ['context', 'meta']).filter(function (element) {
+        return element.attributes['context-type'] === 'x-jsx-context' || localName(element.name) === 'meta' && element.attributes.type === 'context';
+    })[0];
+    return context && context.children.join('');
+}
+
+function findElements(node, names) {
+    return node.children.reduce(function (found, child) {
+        if (typeof child === 'string') {
+            return found;
+        } else if (names.indexOf(localName(child.name)) !== -1) {
+            return found.concat([child]);
+        } else {
+            return found.concat(findElements(child, names));
+        }
+    }, []);
+}
+
+/*
+    A minimal XML parser, sufficient for XLIFF: elements, attributes, text,
+    character references and CDATA. Returns a tree of nodes of the form
+    {name, attributes, children}, where children are nodes or strings.
+*/
+var XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+var XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function parseXml(src) {
+    var root = { name: '#document', attributes: {}, children: [] };
+    var stack = [root];
+    var position = 0;
+    var match;
+
+    XML_TOKEN.lastIndex = 0;
+    while (match = XML_TOKEN.exec(src)) {
+        if (match.index !== position) break;
+        position = XML_TOKEN.lastIndex;
+
+        var _match = match,
+            _match2 = _slicedToArray(_match, 7),
+            token = _match2[0],
+            cdata = _match2[1],
+            closing = _match2[2],
+            name = _match2[3],
+            attributes = _match2[4],
+            selfClosing = _match2[5],
+            text = _match2[6];
+
+        var parent = stack[stack.length - 1];
+        if (text !== undefined) {
+            parent.children.push(decodeXml(text));
+        } else if (cdata !== undefined) {
+            parent.children.push(cdata);
+        } else if (closing) {
+            if (parent.name !== name) {
+                throw new Error('Malformed XML: </' + name + '> closes <' + parent.name + '>');
+            }
+            stack.pop();
+        } else if (name) {
+            var element = { name: name, attributes: parseAttributes(attributes), children: [] };
+            parent.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+    if (position !== src.length) {
+        throw new Error('Malformed XML at: ' + src.slice(position, position + 40));
+    }
+    if (stack.length !== 1) {
+        throw new Error('Malformed XML: <' + stack[stack.length - 1].name + '> is not closed');
+    }
+    return root;
+}
+
+function parseAttributes(src) {
+    var attributes = {};
+    var match;
+    XML_ATTRIBUTE.lastIndex = 0;
+    while (match = XML_ATTRIBUTE.exec(src)) {
+        attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeXml(str) {
+    return str.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, function (entity, name) {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name];
+    });
+}
+
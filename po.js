@@ -0,0 +1,183 @@
+"use strict";
+
+/*****************************************************************************
+Reading and writing gettext PO and POT files.
+
+Messages are written as msgids, exactly as they appear in the JSON
+translations files; the #: comments give their source references:
+
+    #: src/Greeting.jsx:12
+    msgid "Hello, <em>{name}</em>!"
+    msgstr ""
+
+When reading a PO file we produce the same dictionary of message to
+translation that is read from JSON. An entry with a msgctxt is keyed by its
+context and message joined with "\u0004", as gettext does and as jsxlate
+keys messages with an i18n-context. Untranslated entries are left out, as
+are fuzzy ones unless asked for.
+
+Plural entries (msgid_plural) are not supported, since plurals are
+expressed within the message itself with <Pluralize>.
+*****************************************************************************/
+
+var translationKey = require('./jsxlate').translationKey;
+
+var HEADER = {
+    message: '',
+    translation: (
+        'Content-Type: text/plain; charset=UTF-8\n' +
+        'Content-Transfer-Encoding: 8bit\n' +
+        'X-Generator: jsxlate\n'
+    )
+};
+
+
+
+/*****************************************************************************
+    Writing
+*****************************************************************************/
+
+/*
+    Given an array of entries of the form
+        {message, translation, context, references, comments, flags}
+    of which only message is required, return the text of a PO file.
+    With no translations this is a POT template.
+*/
+module.exports.formatPo = function formatPo(entries) {
+    return [HEADER].concat(entries).map(formatEntry).join('\n\n') + '\n';
+};
+
+function formatEntry(entry) {
+    var lines = [];
+    (entry.comments || []).forEach(c => lines.push('#. ' + c));
+    (entry.references || []).forEach(r => lines.push('#: ' + r));
+    if (entry.flags && entry.flags.length) {
+        lines.push('#, ' + entry.flags.join(', '));
+    }
+    if (entry.context) {
+        lines.push(formatString('msgctxt', entry.context));
+    }
+    lines.push(formatString('msgid', entry.message));
+    lines.push(formatString('msgstr', entry.translation || ''));
+    return lines.join('\n');
+}
+
+// Multi-line strings are written one line per line, as xgettext does:
+function formatString(keyword, str) {
+    if (str.indexOf('\n') === -1) {
+        return `${keyword} ${quote(str)}`;
+    }
+    var lines = str.match(/[^\n]*\n|[^\n]+$/g);
+    return [`${keyword} ""`].concat(lines.map(quote)).join('\n');
+}
+
+function quote(str) {
+    return '"' + str
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n') + '"';
+}
+
+
+
+/*****************************************************************************
+    Reading
+*****************************************************************************/
+
+/*
+    Given the text of a PO file, return an array of its entries, not
+    including the header or obsolete entries, of the form
+        {message, translation, context, references, comments,
+         translatorComments, flags}
+*/
+function parsePo(src) {
+    var entries = [];
+    var entry = emptyEntry();
+    var field = null;
+
+    function finishEntry() {
+        if (entry.message !== undefined && entry.message !== '') {
+            entries.push(entry);
+        }
+        entry = emptyEntry();
+        field = null;
+    }
+
+    src.split(/\r?\n/).forEach((line, i) => {
+        line = line.trim();
+        var keyword = /^(msgctxt|msgid|msgstr|msgid_plural|msgstr\[\d+\])\s+(".*")$/.exec(line);
+        var startsEntry = /^#/.test(line) || (keyword && keyword[1] !== 'msgstr');
+
+        if (startsEntry && entry.translation !== undefined) {
+            finishEntry();
+        }
+
+        if (line === '' || /^#[~|]/.test(line)) {
+            // Blank lines, obsolete entries and previous msgids are ignored.
+            return;
+        } else if (/^#,/.test(line)) {
+            entry.flags = entry.flags.concat(
+                line.slice(2).split(',').map(f => f.trim()).filter(f => f));
+        } else if (/^#:/.test(line)) {
+            entry.references = entry.references.concat(
+                line.slice(2).trim().split(/\s+/).filter(r => r));
+        } else if (/^#\./.test(line)) {
+            entry.comments.push(line.slice(2).trim());
+        } else if (/^#/.test(line)) {
+            entry.translatorComments.push(line.slice(1).trim());
+        } else if (keyword) {
+            if (keyword[1] === 'msgid_plural' || keyword[1].startsWith('msgstr[')) {
+                throw new Error(`Line ${i + 1}: plural entries are not supported; use <Pluralize> within the message instead.`);
+            }
+            field = {msgctxt: 'context', msgid: 'message', msgstr: 'translation'}[keyword[1]];
+            entry[field] = unquote(keyword[2], i);
+        } else if (/^".*"$/.test(line) && field) {
+            entry[field] += unquote(line, i);
+        } else {
+            throw new Error(`Line ${i + 1}: unexpected ${JSON.stringify(line)}`);
+        }
+    });
+    finishEntry();
+
+    return entries;
+}
+module.exports.parsePo = parsePo;
+
+function emptyEntry() {
+    return {
+        message: undefined,
+        translation: undefined,
+        context: undefined,
+        references: [],
+        comments: [],
+        translatorComments: [],
+        flags: []
+    };
+}
+
+function unquote(quoted, lineIndex) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(quoted)) {
+        throw new Error(`Line ${lineIndex + 1}: malformed string ${quoted}`);
+    }
+    return quoted.slice(1, -1).replace(/\\(.)/g, (_, c) => (
+        {n: '\n', t: '\t', r: '\r'}[c] || c
+    ));
+}
+
+/*
+    Given the text of a PO file, return a translations dictionary like
+    the ones read from JSON. Fuzzy translations are only included when
+    options.fuzzy is set.
+*/
+module.exports.translationsFromPo = function translationsFromPo(src, options) {
+    options = options || {};
+    return parsePo(src)
+        .filter(entry => entry.translation)
+        .filter(entry => options.fuzzy || entry.flags.indexOf('fuzzy') === -1)
+        .reduce((translations, entry) => {
+            translations[translationKey(entry.message, entry.context)] = entry.translation;
+            return translations;
+        }, {});
+};
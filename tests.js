@@ -1,6 +1,9 @@
 "use strict";
 
 var jsxlate = require('./jsxlate');
+var po = require('./po');
+var xliff = require('./xliff');
+var plurals = require('./plurals');
 var I18N = require('./lib/components').I18N;
 var setMessages = require('./lib/components').setMessages;
 var I = require('immutable');
@@ -24,7 +27,11 @@ var extractions = {
     'var {nested, ...rested} = i18n("hatters"); <I18N>Cat: {nested}</I18N>': ['hatters', 'Cat: {nested}'],
     '<p><I18N>1: {same.name.different.message}</I18N> <I18N>2: {same.name.different.message}</I18N></p>': ['1: {same.name.different.message}', '2: {same.name.different.message}'],
     '<I18N><Pluralize on={count}><Match when="zero">You have no items</Match><Match when="one">You have one item</Match><Match when="other">You have {count} items</Match></Pluralize></I18N>': [
-        '<Pluralize on={count}><Match when="zero">You have no items</Match><Match when="one">You have one item</Match><Match when="other">You have {count} items</Match></Pluralize>']
+        '<Pluralize on={count}><Match when="zero">You have no items</Match><Match when="one">You have one item</Match><Match when="other">You have {count} items</Match></Pluralize>'],
+    '<I18N>You came <Pluralize type="ordinal" on={place}><Match when="one">{place}st</Match><Match when="two">{place}nd</Match><Match when="few">{place}rd</Match><Match when="other">{place}th</Match></Pluralize></I18N>': [
+        'You came <Pluralize type="ordinal" on={place}><Match when="one">{place}st</Match><Match when="two">{place}nd</Match><Match when="few">{place}rd</Match><Match when="other">{place}th</Match></Pluralize>'],
+    '<I18N><Select on={gender}><Match when="female">She</Match><Match when="other">They</Match></Select> replied</I18N>': [
+        '<Select on={gender}><Match when="female">She</Match><Match when="other">They</Match></Select> replied']
 }
 
 exports.testExtraction = function (test) {
@@ -135,14 +142,29 @@ var shouldNotBeExtractable = [
     '<I18N>Nested <I18N>message markers.</I18N></I18N>',
     'i18n("Not" + "just a string" + "literal")',
     'i18n()',
-    'i18n("Too many", "arguments")',
+    'i18n("Too", "many", "arguments")',
+    'i18n("Comment not a", "string" + "literal")',
+    'i18n("Context not a", {context: "string" + "literal"})',
+    'i18n("Unknown", {option: "name"})',
+    '<I18N i18n-comment={comment}>Comment not a string literal</I18N>',
     '<I18N><a target="_blank">Unsafe attributes but no id.</a></I18N>',
     '<I18N><Doubled/>two of the same Component type without ids<Doubled/></I18N>',
     '<I18N><Doubled:doubled/>two of the same Component type with the same ids<Doubled:doubled/></I18N>',
     '<I18N>{"string literal"}</I18N>',
     '<I18N>{arbitrary.expression()}</I18N>',
     '<I18N>{("non"+"simple").memberExpression}</I18N>',
-    '<I18N>{computed["memberExpression"]}</I18N>'
+    '<I18N>{computed["memberExpression"]}</I18N>',
+    '<I18N><Pluralize on={count}><Match when="one">One</Match></Pluralize></I18N>',
+    '<I18N><Pluralize on={count}><Match when="third">Three</Match><Match when="other">Many</Match></Pluralize></I18N>',
+    '<I18N><Pluralize type="nominal" on={count}><Match when="other">Many</Match></Pluralize></I18N>',
+    '<I18N><Select on={gender}><Match when="female">She</Match></Select></I18N>',
+    '<I18N><Select on={gender}><Match when="=1">One</Match><Match when="other">They</Match></Select></I18N>',
+    '<I18N><Select on={gender}><b>She</b><Match when="other">They</Match></Select></I18N>',
+    '<I18N><Select on="female"><Match when="other">They</Match></Select></I18N>',
+    '<I18N tagName={tag}>Hello</I18N>',
+    '<I18N tagName="Option">Hello</I18N>',
+    '<I18N i18n-domain="my domain">Hello</I18N>',
+    'i18n("Domain not a", {domain: "../name"})'
 ]
 
 exports.testErrorsInExtraction = function (test) {
@@ -276,10 +298,1089 @@ exports.testMessageNodeTransformation = function(test) {
     test.done();
 };
 
+var messagesToBeDescribed = I.List([
+    [
+        '<I18N>Hello, world. <Component i18n-id="c" attr={attr} />{foo}<p>{this.bar.baz}</p></I18N>',
+        {message: 'Hello, world. <Component:c />{foo}<p>{this.bar.baz}</p>',
+         id: 'Hello, world. <Component:c />{foo}<p>{this.bar.baz}</p>', domain: undefined, freeVariables: ['Component', 'attr', 'foo'],
+         tagName: 'span'}
+    ],
+
+    [
+        "i18n('Well golly gee')",
+        {message: 'Well golly gee', id: 'Well golly gee', domain: undefined, freeVariables: [], tagName: undefined}
+    ]
+]);
+
+exports.testDescribeMessage = function(test) {
+    messagesToBeDescribed.forEach(([source, description]) => {
+        test.deepEqual(jsxlate.describeMessage(source), description);
+    });
+    test.throws(() => jsxlate.describeMessage('i18n("Too", "many", "arguments")'));
+    test.throws(() => jsxlate.describeMessage('<I18N>{arbitrary.expression()}</I18N>'));
+    test.done();
+};
+
+exports.testBabelPlugin = function(test) {
+    // The Babel 6 that runs these tests, which the plugin is written for:
+    var babel = require(require.resolve('babel-core',
+        {paths: [require('path').dirname(require.resolve('babel-register'))]}));
+    var lib = require('./lib/jsxlate');
+    function transform(src, plugins) {
+        return babel.transform(src, {
+            babelrc: false,
+            plugins: [require('babel-plugin-syntax-jsx'), require('./babel-plugin')].concat(plugins || [])
+        }).code.replace(/\s+/g, ' ');
+    }
+
+    test.equal(
+        transform('<I18N>Hello, <a:link href={url}>{name}</a:link></I18N>;'),
+        '<I18N message={"Hello, <a:link href={url}>{name}</a:link>"} context={this} args={[url, name]} ' +
+        'fallback={function () { return <span>Hello, <a href={url}>{name}</a></span>; }} />;');
+    test.equal(transform('i18n("Hello", "A greeting");'), 'i18n("Hello", "A greeting");');
+    test.equal(
+        transform('<I18N tagName="option" value="fr">French</I18N>;'),
+        '<I18N message={"French"} context={this} args={[]} ' +
+        'fallback={function () { return <option value="fr">French</option>; }} tagName="option" value="fr" />;');
+    test.equal(
+        transform('<I18N i18n-domain="admin">Users</I18N>;'),
+        '<I18N message={"Users"} context={this} args={[]} ' +
+        'fallback={function () { return <span>Users</span>; }} domain="admin" />;');
+    test.equal(
+        transform('i18n("Users", {context: "noun", domain: "admin"});'),
+        'i18n("Users", { context: "noun", domain: "admin" });');
+    test.throws(() => transform('<I18N>{foo()}</I18N>;'), /non-named expression/);
+
+    lib.setMessageIds('hash');
+    try {
+        test.equal(
+            transform('<I18N i18n-context="verb">Open</I18N>; i18n("Hello", "A greeting");'),
+            '<I18N message={"e8ccc81292"} context={this} args={[]} ' +
+            'fallback={function () { return <span>Open</span>; }} />;i18n("Hello", { id: "f7ff9e8b7b" });');
+    } finally {
+        lib.setMessageIds('message');
+    }
+
+    // Markers made by other plugins have no source of their own:
+    function makeMarkers(babel) {
+        var t = babel.types;
+        return {visitor: {Identifier: path => {
+            if (path.node.name === 'GREETING') {
+                path.replaceWith(t.callExpression(t.identifier('i18n'), [
+                    t.stringLiteral('Hello'),
+                    t.objectExpression([t.objectProperty(t.identifier('domain'), t.stringLiteral('admin'))])
+                ]));
+            } else if (path.node.name === 'OPTION') {
+                path.replaceWith(t.jSXElement(
+                    t.jSXOpeningElement(t.jSXIdentifier('I18N'),
+                        [t.jSXAttribute(t.jSXIdentifier('tagName'), t.stringLiteral('option'))]),
+                    t.jSXClosingElement(t.jSXIdentifier('I18N')),
+                    [t.jSXText('Hello, '), t.jSXExpressionContainer(t.identifier('name'))]));
+            }
+        }}};
+    }
+    test.equal(transform('GREETING;', [makeMarkers]), 'i18n("Hello", { domain: "admin" });');
+    test.equal(
+        transform('OPTION;', [makeMarkers]),
+        '<I18N message={"Hello, {name}"} context={this} args={[name]} ' +
+        'fallback={function () { return <option>Hello, {name}</option>; }} tagName="option" />;');
+    test.done();
+};
+
+exports.testBabelPluginConfig = function(test) {
+    var fs = require('fs');
+    var path = require('path');
+    var babel = require(require.resolve('babel-core',
+        {paths: [path.dirname(require.resolve('babel-register'))]}));
+    var lib = require('./lib/jsxlate');
+    function transform(src, filename, options) {
+        return babel.transform(src, {
+            babelrc: false,
+            filename: filename,
+            plugins: [require('babel-plugin-syntax-jsx'), [require('./babel-plugin'), options || {}]]
+        }).code.replace(/\s+/g, ' ');
+    }
+    var directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'jsxlate-'));
+    var file = path.join(directory, '.jsxlaterc');
+    fs.writeFileSync(file, JSON.stringify({markers: {element: ['T']}, domains: {admin: '.'}}));
+    try {
+        // Each file is transformed under the configuration nearest to it:
+        test.equal(
+            transform('<T>Users</T>;', path.join(directory, 'users.js')),
+            '<T message={"Users"} context={this} args={[]} ' +
+            'fallback={function () { return <span>Users</span>; }} domain="admin" />;');
+        test.equal(transform('<T>Users</T>;', 'users.js'), '<T>Users</T>;');
+
+        // Markers given as options are for that transform only:
+        test.equal(
+            transform('<Msg>Hello</Msg>;', 'app.js', {markers: {element: ['Msg']}}),
+            '<Msg message={"Hello"} context={this} args={[]} ' +
+            'fallback={function () { return <span>Hello</span>; }} />;');
+        test.equal(transform('<Msg>Hello</Msg>;', 'app.js'), '<Msg>Hello</Msg>;');
+        test.deepEqual(lib.getMarkers(), {string: ['i18n'], element: ['I18N']});
+    } finally {
+        fs.unlinkSync(file);
+        fs.rmdirSync(directory);
+    }
+    test.done();
+};
+
+exports.testConfigurableMarkers = function(test) {
+    jsxlate.setMarkers({string: ['i18n', 't'], element: ['I18N', 'T', 'Intl.Message']});
+    try {
+        test.deepEqual(
+            jsxlate.extractMessages('<div><T>Hello</T>{t("world")}<Intl.Message>Cat: {hat}</Intl.Message></div>'),
+            ['Hello', 'world', 'Cat: {hat}']);
+        test.deepEqual(jsxlate.extractMessages('i18n("still") + intl.t("not a marker")'), ['still']);
+        test.equal(
+            jsxlate.translateMessages('<Intl.Message>Hello</Intl.Message>', translations),
+            '<Intl.Message>Helo</Intl.Message>;');
+        test.equal(
+            jsxlate._transformMessageNode(jsxlate._parseExpression('<T>Hello</T>')),
+            '<T message={"Hello"} context={this} args={[]} fallback={function() { return <span>Hello</span>; }}/>');
+        test.equal(
+            jsxlate._transformMessageNode(jsxlate._parseExpression('t("world")')),
+            "t('world')");
+        test.equal(jsxlate.findUntranslatedStrings('<p><T>Marked</T></p>').size, 0);
+    } finally {
+        jsxlate.setMarkers({string: ['i18n'], element: ['I18N']});
+    }
+    test.done();
+};
+
+exports.testConfigurableAllowedAttributes = function(test) {
+    jsxlate.configure({
+        allowedAttributes: {
+            'img': ['alt'],
+            'Link': ['to'],
+            'a': {replace: ['hreflang']}
+        }
+    });
+    try {
+        test.deepEqual(
+            jsxlate.extractMessages('<I18N><img i18n-id="pic" src="x.png" alt="A cat" /> <Link to="/cats" onClick={go}>Cats</Link></I18N>'),
+            ['<img:pic alt="A cat" /> <Link to="/cats">Cats</Link>']);
+        test.deepEqual(
+            jsxlate.extractMessages('<I18N><a i18n-id="link" href="/en" hreflang="en">here</a></I18N>'),
+            ['<a:link hreflang="en">here</a:link>']);
+        test.throws(() => jsxlate.setAllowedAttributes({'img': 'alt'}));
+    } finally {
+        jsxlate.setAllowedAttributes({});
+    }
+    test.deepEqual(
+        jsxlate.extractMessages('<I18N><a href="foo">safe</a></I18N>'),
+        ['<a href="foo">safe</a>']);
+    test.done();
+};
+
+exports.testExtractMessageDetails = function(test) {
+    test.deepEqual(
+        jsxlate.extractMessageDetails('var a = i18n("world");\nvar b = <p>\n    <I18N>Hello</I18N></p>;'),
+        [{message: 'world', id: 'world', kind: 'string', comment: undefined, context: undefined, domain: undefined,
+          line: 1, column: 9},
+         {message: 'Hello', id: 'Hello', kind: 'element', comment: undefined, context: undefined, domain: undefined,
+          line: 3, column: 5}]);
+
+    // Every occurrence of a message is reported:
+    test.deepEqual(
+        jsxlate.extractMessageDetails('i18n("twice");\n  i18n("twice");')
+            .map(details => [details.message, details.line, details.column]),
+        [['twice', 1, 1], ['twice', 2, 3]]);
+    test.done();
+};
+
+exports.testCatalogDetails = function(test) {
+    var catalogs = require('./bin/catalogs');
+    var detailsByFile = {
+        'a.js': jsxlate.extractMessageDetails('<I18N i18n-comment="Greeting">Hello</I18N>;\ni18n("Open", {context: "verb"});'),
+        'b.js': jsxlate.extractMessageDetails('\n  <p><I18N>Hello</I18N></p>;')
+    };
+    var catalog = catalogs.catalogsFor(detailsByFile, ['a.js', 'b.js'])[''];
+    test.deepEqual(catalog.messages, {'Hello': 'Hello', 'verb\u0004Open': 'Open'});
+    test.deepEqual(catalogs.details(catalog.entries), {
+        'Hello': {
+            message: 'Hello', id: 'Hello', context: undefined, domain: undefined, kind: 'element',
+            comments: ['Greeting'],
+            locations: [{file: 'a.js', line: 1, column: 1}, {file: 'b.js', line: 2, column: 6}]
+        },
+        'verb\u0004Open': {
+            message: 'Open', id: 'verb\u0004Open', context: 'verb', domain: undefined, kind: 'string',
+            comments: [],
+            locations: [{file: 'a.js', line: 2, column: 1}]
+        }
+    });
+    test.deepEqual(catalog.entries['Hello'].references, ['a.js:1', 'b.js:2']);
+    test.done();
+};
+
+exports.testExtractChanged = function(test) {
+    var catalogs = require('./bin/catalogs');
+    var sources = {'a.js': 'i18n("Hello");', 'b.js': 'i18n("Open");'};
+    var extracted = [];
+    function extract(path) {
+        extracted.push(path);
+        return jsxlate.extractMessageDetails(sources[path]);
+    }
+    var detailsByFile = {};
+    test.deepEqual(catalogs.extractChanged(detailsByFile, ['a.js', 'b.js'], ['a.js', 'b.js'], extract), []);
+
+    // Only the files which changed are extracted again:
+    extracted = [];
+    sources['a.js'] = 'i18n("Goodbye");';
+    catalogs.extractChanged(detailsByFile, ['a.js'], ['a.js', 'b.js'], extract);
+    test.deepEqual(extracted, ['a.js']);
+    test.deepEqual(Object.keys(catalogs.catalogsFor(detailsByFile, ['a.js', 'b.js'])[''].messages), ['Goodbye', 'Open']);
+
+    // A file which fails keeps its messages, and one which is gone loses them:
+    sources['a.js'] = 'i18n(hello);';
+    var errors = catalogs.extractChanged(detailsByFile, ['a.js', 'b.js'], ['a.js'], extract);
+    test.deepEqual(errors.map(e => e.path), ['a.js']);
+    test.ok(/string literal/.test(jsxlate.errorMessageForError(errors[0].error)));
+    test.deepEqual(Object.keys(detailsByFile), ['a.js']);
+    test.deepEqual(detailsByFile['a.js'].map(details => details.message), ['Goodbye']);
+    test.done();
+};
+
+exports.testWatch = function(test) {
+    var fs = require('fs');
+    var path = require('path');
+    var watch = require('./bin/watch');
+    var directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'jsxlate-'));
+    var file = path.join(directory, 'app.js');
+    var watcher = watch([directory], changed => {
+        watcher.close();
+        test.deepEqual(changed, [file]);
+        fs.unlinkSync(file);
+        fs.rmdirSync(directory);
+        test.done();
+    });
+    fs.writeFileSync(file, 'i18n("Hello");');
+};
+
+exports.testMergeTranslations = function(test) {
+    var existing = {'Hello': 'Helo', 'Goodbye': 'Hwyl', '#obsolete': {'Open': 'Agor'}};
+    var merged = jsxlate.mergeTranslations({'Hello': 'Hello', 'Open': 'Open', 'Close': 'Close'}, existing);
+    test.deepEqual(merged.translations,
+        {'Hello': 'Helo', 'Open': 'Agor', 'Close': 'Close', '#obsolete': {'Goodbye': 'Hwyl'}});
+    test.deepEqual(merged.added, ['Close']);
+    test.deepEqual(merged.restored, ['Open']);
+    test.deepEqual(merged.obsolete, ['Goodbye']);
+    test.deepEqual(merged.unchanged, ['Hello']);
+
+    merged = jsxlate.mergeTranslations({'Hello': 'Hello'}, existing, {prune: true});
+    test.deepEqual(merged.translations, {'Hello': 'Helo'});
+    test.deepEqual(merged.obsolete, ['Open', 'Goodbye']);
+
+    // Obsolete translations are never used, but a message "#obsolete" may be translated:
+    test.deepEqual(jsxlate.currentTranslations(existing), {'Hello': 'Helo', 'Goodbye': 'Hwyl'});
+    test.deepEqual(jsxlate.currentTranslations({'#obsolete': 'Darfodedig'}), {'#obsolete': 'Darfodedig'});
+    merged = jsxlate.mergeTranslations({'#obsolete': '#obsolete'}, {'#obsolete': 'Darfodedig'});
+    test.deepEqual(merged.translations, {'#obsolete': 'Darfodedig'});
+    test.deepEqual(merged.unchanged, ['#obsolete']);
+    test.throws(() => jsxlate.mergeTranslations({'#obsolete': '#obsolete'}, existing));
+    test.done();
+};
+
+exports.testTranslatorComments = function(test) {
+    function comments(src) {
+        return jsxlate.extractMessageDetails(src).map(details => details.comment);
+    }
+    test.deepEqual(comments('<I18N i18n-comment="On the home page">Hello</I18N>'), ['On the home page']);
+    test.deepEqual(comments('i18n("Open", "A button which opens the file")'), ['A button which opens the file']);
+    test.deepEqual(comments('var open = /* i18n: A verb */ i18n("Open");'), ['A verb']);
+    test.deepEqual(comments('<p>{/* i18n: A greeting */}<I18N>Hello</I18N></p>'), ['A greeting']);
+    test.deepEqual(comments('/* not for translators */ i18n("Open");'), [undefined]);
+
+    // Comments are not part of the message, and never reach the DOM:
+    test.deepEqual(
+        jsxlate.extractMessages('<I18N i18n-comment="Note">Hello</I18N>'),
+        ['Hello']);
+    var transformed = jsxlate._transformMessageNode(
+        jsxlate._parseExpression('<I18N i18n-comment="Note">Hello</I18N>'));
+    test.ok(transformed.indexOf('<span>Hello</span>') !== -1, transformed);
+    test.equal(
+        jsxlate._transformMessageNode(jsxlate._parseExpression('i18n("Open", "A verb")')),
+        "i18n('Open')");
+    test.done();
+};
+
+exports.testMessageContext = function(test) {
+    var src = '<p><I18N i18n-context="verb">Open</I18N>{i18n("Open", {context: "status", comment: "Of a shop"})}<I18N>Open</I18N></p>';
+    test.deepEqual(
+        jsxlate.extractMessageDetails(src).map(details => [details.message, details.context, details.comment]),
+        [['Open', 'verb', undefined], ['Open', 'status', 'Of a shop'], ['Open', undefined, undefined]]);
+
+    test.equal(
+        jsxlate._transformMessageNode(jsxlate._parseExpression('i18n("Open", {context: "status"})')),
+        "i18n('Open', {context: 'status'})");
+    test.ok(jsxlate._transformMessageNode(jsxlate._parseExpression('<I18N i18n-context="verb">Open</I18N>'))
+        .indexOf('message={"verb\\u0004Open"}') !== -1);
+    test.equal(
+        jsxlate.describeMessage('<I18N i18n-context="verb">Open</I18N>').message,
+        'verb\u0004Open');
+
+    var bundle = jsxlate.translateMessagesToBundle(src, {
+        'verb\u0004Open': 'Agor',
+        'status\u0004Open': 'Ar agor',
+        'Open': 'Agored'
+    });
+    test.deepEqual(Object.keys(bundle.elements).sort(), ['Open', 'verb\u0004Open']);
+    test.deepEqual(Object.keys(bundle.strings), ['status\u0004Open']);
+    test.ok(bundle.elements['verb\u0004Open'].indexOf('<span>Agor</span>') !== -1, bundle.elements['verb\u0004Open']);
+    test.ok(bundle.strings['status\u0004Open'].indexOf('Ar agor') !== -1, bundle.strings['status\u0004Open']);
+
+    test.throws(() => jsxlate.translateMessages(src, {'Open': 'Agored'}));
+    test.done();
+};
+
+exports.testStringAndElementMessagesKeptApart = function(test) {
+    var src = '<p title={i18n("Open")}><I18N>Open</I18N></p>';
+    var bundle = jsxlate.translateMessagesToBundle(src, {'Open': 'Ar agor'}, {data: true});
+    test.deepEqual(bundle.strings, {'Open': 'Ar agor'});
+    test.deepEqual(Object.keys(bundle.elements), ['Open']);
+    test.equal(typeof bundle.elements['Open'], 'object');
+
+    var i18n = require('./lib/components').i18n;
+    setMessages({strings: {'Open': 'Ar agor'}});
+    try {
+        test.equal(i18n('Open'), 'Ar agor');
+        var markup = React.renderToStaticMarkup(React.createElement(I18N, {
+            message: 'Open',
+            fallback: () => React.DOM.span(null, 'Open')
+        }));
+        test.equal(markup, '<span>Open</span>');
+
+        // Bundles keyed by message, as they once were, are both, with a warning:
+        var warn = console.warn;
+        var warnings = [];
+        console.warn = message => warnings.push(message);
+        try {
+            setMessages({'Open': () => 'Agored'});
+        } finally {
+            console.warn = warn;
+        }
+        test.ok(/bundle-messages/.test(warnings[0]), warnings[0]);
+        test.equal(i18n('Open'), 'Agored');
+        test.equal(React.renderToStaticMarkup(React.createElement(I18N, {message: 'Open'})),
+            '<span>Agored</span>');
+    } finally {
+        setMessages({});
+    }
+    test.done();
+};
+
+exports.testDomains = function(test) {
+    var src = '<p title={i18n("Users", {domain: "admin"})}><I18N>Hello</I18N><I18N i18n-domain="admin">Users</I18N></p>';
+    test.deepEqual(
+        jsxlate.extractMessageDetails(src).map(details => [details.message, details.domain]),
+        [['Users', 'admin'], ['Hello', undefined], ['Users', 'admin']]);
+    test.deepEqual(
+        jsxlate.extractMessageDetails(src, {defaultDomain: 'shop'}).map(details => details.domain),
+        ['admin', 'shop', 'admin']);
+    test.equal(jsxlate.describeMessage('<I18N>Hello</I18N>', {defaultDomain: 'shop'}).domain, 'shop');
+
+    test.ok(jsxlate._transformMessageNode(jsxlate._parseExpression('<I18N i18n-domain="admin">Users</I18N>'))
+        .indexOf(' domain="admin"/>') !== -1);
+    test.equal(
+        jsxlate._transformMessageNode(jsxlate._parseExpression('i18n("Open", {context: "verb"})'), 'shop'),
+        "i18n('Open', {context: 'verb', domain: 'shop'})");
+
+    var translations = {'Hello': 'Helo', 'Users': 'Defnyddwyr'};
+    var bundle = jsxlate.translateMessagesToBundle(src, translations);
+    test.deepEqual(Object.keys(bundle.strings), []);
+    test.deepEqual(Object.keys(bundle.elements), ['Hello']);
+    bundle = jsxlate.translateMessagesToBundle(src, translations, {domain: 'admin', data: true});
+    test.deepEqual(bundle.strings, {'Users': 'Defnyddwyr'});
+    test.deepEqual(Object.keys(bundle.elements), ['Users']);
+
+    var components = require('./lib/components');
+    setMessages({strings: {'Users': 'Users (default)'}});
+    components.addMessages({domains: {admin: bundle}});
+    try {
+        test.equal(components.i18n('Users'), 'Users (default)');
+        test.equal(components.i18n('Users', {domain: 'admin'}), 'Defnyddwyr');
+        test.equal(components.i18n('Users', {domain: 'shop'}), 'Users');
+        var markup = React.renderToStaticMarkup(React.createElement(I18N, {
+            message: 'Users',
+            domain: 'admin',
+            args: bundle.elements['Users'].args
+        }));
+        test.equal(markup, '<span>Defnyddwyr</span>');
+    } finally {
+        setMessages({});
+    }
+    test.done();
+};
+
+exports.testTagName = function(test) {
+    var src = '<select><I18N tagName="option" value={code}>French</I18N></select>';
+    test.deepEqual(jsxlate.extractMessages(src), ['French']);
+    test.equal(jsxlate.describeMessage('<I18N tagName="option">French</I18N>').tagName, 'option');
+    test.equal(jsxlate.describeMessage('<I18N>French</I18N>').tagName, 'span');
+
+    test.equal(
+        jsxlate._transformMessageNode(jsxlate._parseExpression('<I18N tagName="option" value={code}>French</I18N>')),
+        '<I18N message={"French"} context={this} args={[code]}' +
+        ' fallback={function() { return <option value={code}>French</option>; }} tagName="option" value={code}/>');
+    test.equal(
+        jsxlate.translateMessages(src, {'French': 'Ffrangeg'}),
+        '<select><I18N tagName="option" value={code}>Ffrangeg</I18N></select>;');
+
+    // Markers with the same message share its translation, which each
+    // renders as its own tagName and with its own attributes:
+    src += ';\n<p><I18N className="language">French</I18N></p>;';
+    var bundle = jsxlate.translateMessagesToBundle(src, {'French': 'Ffrangeg'});
+    test.deepEqual(Object.keys(bundle.elements), ['French']);
+    test.equal(bundle.elements['French'], 'function(code) { return <span>Ffrangeg</span>; }');
+    setMessages({elements: {'French': () => React.createElement('span', null, 'Ffrangeg')}});
+    try {
+        function render(props) {
+            return React.renderToStaticMarkup(React.createElement(I18N,
+                Object.assign({message: 'French', context: null, args: []}, props)));
+        }
+        test.equal(render({tagName: 'option', value: 'fr'}), '<option value="fr">Ffrangeg</option>');
+        test.equal(render({className: 'language'}), '<span class="language">Ffrangeg</span>');
+    } finally {
+        setMessages({});
+    }
+    test.done();
+};
+
+exports.testDataBundle = function(test) {
+    var src = 'i18n("Hello");\n' +
+        'var p = <I18N className="greeting">Hi, <a href="/users" i18n-id="link" style={{color: this.color}}>{user.name}</a>! ' +
+        '<Pluralize on={count}><Match when="one">One</Match><Match when="other">{count} new</Match></Pluralize></I18N>;';
+    var message = 'Hi, <a:link href="/users">{user.name}</a:link>! <Pluralize on={count}><Match when="one">One</Match><Match when="other">{count} new</Match></Pluralize>';
+    var bundle = jsxlate.translateMessagesToBundle(src, {
+        'Hello': 'Helo',
+        [message]: 'Shwmae, <a:link href="/defnyddwyr">{user.name}</a:link>! <Pluralize on={count}><Match when="one">Un</Match><Match when="other">{count} newydd</Match></Pluralize>'
+    }, {data: true});
+
+    test.equal(bundle.strings['Hello'], 'Helo');
+    var data = JSON.parse(JSON.stringify(bundle.elements[message]));
+    test.deepEqual(data.args.slice().sort(), ['Match', 'Pluralize', 'count', 'user']);
+    test.deepEqual(data.element.type, 'span');
+    test.deepEqual(data.element.props, {});
+    test.deepEqual(data.element.children[1], {
+        type: 'a',
+        props: {
+            style: {object: {color: {path: ['this', 'color']}}},
+            href: {literal: '/defnyddwyr'}
+        },
+        children: [{expression: {path: ['user', 'name']}}]
+    });
+    test.deepEqual(data.element.children[3].type, {path: ['Pluralize']});
+
+    setMessages({elements: {[message]: data}});
+    try {
+        var components = require('./lib/components');
+        var values = {user: {name: 'Siân'}, Pluralize: components.Pluralize, count: 2, Match: components.Match};
+        var markup = React.renderToStaticMarkup(React.createElement(I18N, {
+            message: message,
+            context: {color: 'red'},
+            args: data.args.map(name => values[name]),
+            className: 'greeting'
+        }));
+        test.ok(/^<span class="greeting">Shwmae, <a style="color:red;" href="\/defnyddwyr">Siân<\/a>/.test(markup), markup);
+        test.ok(/2 newydd/.test(markup), markup);
+    } finally {
+        setMessages({});
+    }
+
+    test.throws(() => jsxlate.translateMessagesToBundle(
+        '<I18N>Check out: <Component gnar={3 * shnar}/></I18N>',
+        {'Check out: <Component />': 'Edrychwch: <Component />'},
+        {data: true}), /only as a function/);
+    test.done();
+};
+
+exports.testHashedMessageIds = function(test) {
+    jsxlate.setMessageIds('hash');
+    try {
+        var src = '<p><I18N i18n-context="verb">Open</I18N>{i18n("Hello", "A greeting")}</p>';
+        test.equal(jsxlate.messageId('Hello'), 'f7ff9e8b7b');
+        test.equal(jsxlate.messageId('Open', 'verb'), 'e8ccc81292');
+        test.deepEqual(
+            jsxlate.extractMessageDetails(src).map(details => [details.message, details.id]),
+            [['Open', 'e8ccc81292'], ['Hello', 'f7ff9e8b7b']]);
+
+        // Translations are still keyed by message, but bundles by id:
+        var bundle = jsxlate.translateMessagesToBundle(src, {'verb\u0004Open': 'Agor', 'Hello': 'Helo'});
+        test.deepEqual(Object.keys(bundle.elements), ['e8ccc81292']);
+        test.deepEqual(Object.keys(bundle.strings), ['f7ff9e8b7b']);
+        test.ok(jsxlate._transformMessageNode(jsxlate._parseExpression('<I18N i18n-context="verb">Open</I18N>'))
+            .indexOf('message={"e8ccc81292"}') !== -1);
+        test.equal(
+            jsxlate._transformMessageNode(jsxlate._parseExpression('i18n("Hello", "A greeting")')),
+            "i18n('Hello', {id: 'f7ff9e8b7b'})");
+        test.equal(jsxlate.describeMessage('i18n("Hello")').id, 'f7ff9e8b7b');
+
+        // Messages whose ids collide are rejected, in a file or across files:
+        test.equal(jsxlate.messageId('Message 1080860'), jsxlate.messageId('Message 1790599'));
+        var colliding = 'i18n("Message 1080860"); i18n("Message 1790599");';
+        test.throws(() => jsxlate.extractMessageDetails(colliding), /same id f54ead0442/);
+        test.throws(() => jsxlate.translateMessagesToBundle(colliding,
+            {'Message 1080860': 'Neges 1080860', 'Message 1790599': 'Neges 1790599'}), /same id/);
+        var catalogs = require('./bin/catalogs');
+        test.throws(() => catalogs.catalogsFor({
+            'a.js': jsxlate.extractMessageDetails('i18n("Message 1080860");'),
+            'b.js': jsxlate.extractMessageDetails('i18n("Message 1790599");')
+        }, ['a.js', 'b.js']), e => /same id/.test(jsxlate.errorMessageForError(e)));
+        test.doesNotThrow(() => jsxlate.extractMessageDetails(
+            'i18n("Message 1080860"); i18n("Message 1790599", {context: "other"});'));
+
+        var components = require('./lib/components');
+        setMessages({strings: {'f7ff9e8b7b': () => 'Helo'}});
+        test.equal(components.i18n('Hello', {id: 'f7ff9e8b7b'}), 'Helo');
+    } finally {
+        jsxlate.setMessageIds('message');
+        setMessages({});
+    }
+    test.throws(() => jsxlate.setMessageIds('md5'));
+    test.done();
+};
+
+exports.testCheckTranslations = function(test) {
+    var src = 'i18n("Hello");\ni18n("Goodbye");\nvar p = <I18N>Hi, <b>{name}</b></I18N>;';
+    test.deepEqual(
+        jsxlate.checkTranslations(src, {
+            'Hello': 'Helo',
+            'Hi, <b>{name}</b>': 'Hi, <b>{enw}</b>'
+        }).map(r => [r.message, r.line, r.status]),
+        [['Hello', 1, 'translated'],
+         ['Goodbye', 2, 'missing'],
+         ['Hi, <b>{name}</b>', 3, 'invalid']]);
+    test.ok(/enw/.test(
+        jsxlate.checkTranslations(src, {'Hi, <b>{name}</b>': 'Hi, <b>{enw}</b>'})[2].error));
+    test.done();
+};
+
+exports.testCoverage = function(test) {
+    var fs = require('fs');
+    var path = require('path');
+    var directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'jsxlate-'));
+    var files = {
+        '.jsxlaterc': JSON.stringify({domains: {admin: 'admin.js'}}),
+        'app.js': 'i18n("Hello");\n<I18N><Pluralize on={n}><Match when="one">One</Match><Match when="other">Many</Match></Pluralize></I18N>;',
+        'admin.js': 'i18n("Users");',
+        'messages-cy.json': JSON.stringify({
+            'Hello': 'Helo',
+            '<Pluralize on={n}><Match when="one">One</Match><Match when="other">Many</Match></Pluralize>':
+                '<Pluralize on={n}><Match when="one">Un</Match><Match when="other">Llawer</Match></Pluralize>'
+        }),
+        'messages-cy.admin.json': JSON.stringify({'Users': 'Defnyddwyr'})
+    };
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(directory, name), files[name]));
+    function coverage(args) {
+        return require('child_process').spawnSync(process.execPath,
+            [path.join(__dirname, 'bin/jsxlate-coverage.js')].concat(args),
+            {cwd: directory, encoding: 'utf8'});
+    }
+    try {
+        var result = coverage(['-t', 'messages-cy.json', 'app.js', 'admin.js']);
+        test.equal(result.status, 0, result.stdout + result.stderr);
+        test.ok(/messages-cy\.json: 2 of 2 messages translated/.test(result.stdout), result.stdout);
+        test.ok(/messages-cy\.admin\.json: 1 of 1 messages translated/.test(result.stdout), result.stdout);
+
+        // Welsh has more plural categories than one and other:
+        result = coverage(['-t', 'messages-cy.json', '--locale', 'cy', 'app.js', 'admin.js']);
+        test.equal(result.status, 1);
+        test.ok(/messages-cy\.json: 1 of 2 messages translated/.test(result.stdout), result.stdout);
+
+        fs.unlinkSync(path.join(directory, 'messages-cy.admin.json'));
+        result = coverage(['-t', 'messages-cy.json', 'app.js', 'admin.js']);
+        test.equal(result.status, 1);
+        test.ok(/messages-cy\.admin\.json: 0 of 1 messages translated/.test(result.stdout), result.stdout);
+    } finally {
+        Object.keys(files).forEach(name => {
+            if (fs.existsSync(path.join(directory, name))) {
+                fs.unlinkSync(path.join(directory, name));
+            }
+        });
+        fs.rmdirSync(directory);
+    }
+    test.done();
+};
+
+var poFile = `msgid ""
+msgstr ""
+"Content-Type: text/plain; charset=UTF-8\\n"
+
+#: src/a.jsx:3
+msgid "Hello"
+msgstr "Helo"
+
+#, fuzzy
+msgid "world"
+msgstr "byd"
+
+# not yet translated
+msgid "Cat: {hat}"
+msgstr ""
+
+msgctxt "verb"
+msgid "Open"
+msgstr ""
+"Agor "
+"\\"nawr\\""
+
+#~ msgid "Obsolete"
+#~ msgstr "Darfodedig"
+`;
+
+exports.testReadingPo = function(test) {
+    test.deepEqual(po.translationsFromPo(poFile), {
+        'Hello': 'Helo',
+        'verb\u0004Open': 'Agor "nawr"'
+    });
+    test.deepEqual(po.translationsFromPo(poFile, {fuzzy: true}), {
+        'Hello': 'Helo',
+        'world': 'byd',
+        'verb\u0004Open': 'Agor "nawr"'
+    });
+    test.deepEqual(po.parsePo(poFile)[0].references, ['src/a.jsx:3']);
+    test.throws(() => po.parsePo('msgid "one"\nmsgid_plural "many"\nmsgstr[0] ""'));
+    test.done();
+};
+
+exports.testWritingPo = function(test) {
+    var entries = [
+        {message: 'Hello, <em>{name}</em>', references: ['src/a.jsx:3', 'src/b.jsx:10']},
+        {message: 'Two\nlines "quoted"', context: 'verb', translation: 'Dwy\nllinell'}
+    ];
+    var written = po.formatPo(entries);
+    test.ok(written.indexOf('#: src/a.jsx:3\n#: src/b.jsx:10\nmsgid "Hello, <em>{name}</em>"\nmsgstr ""') !== -1, written);
+    test.ok(written.indexOf('msgctxt "verb"\nmsgid ""\n"Two\\n"\n"lines \\"quoted\\""') !== -1, written);
+    test.deepEqual(
+        po.parsePo(written).map(e => [e.context, e.message, e.translation]),
+        [[undefined, 'Hello, <em>{name}</em>', ''], ['verb', 'Two\nlines "quoted"', 'Dwy\nllinell']]);
+    test.done();
+};
+
+exports.testMessageParts = function(test) {
+    test.deepEqual(jsxlate.messageParts('Hello, <a:link href="foo">{name}</a:link>! <Icon />'), [
+        {text: 'Hello, '},
+        {open: '<a:link href="foo">', close: '</a:link>', children: [{code: '{name}'}]},
+        {text: '! '},
+        {code: '<Icon />'}
+    ]);
+    test.done();
+};
+
+var xliffEntries = [
+    {message: 'Hello, <a:link href="foo">{name}</a:link>!', kind: 'element'},
+    {message: 'a < b', kind: 'string', context: 'maths', comments: ['Compares a & b']}
+];
+
+exports.testWritingXliff = function(test) {
+    var v1 = xliff.formatXliff(xliffEntries);
+    test.ok(v1.indexOf('<source xml:space="preserve">Hello, <g id="1"><x id="2" equiv-text="{name}"/></g>!</source>') !== -1, v1);
+    test.ok(v1.indexOf('<source xml:space="preserve">a &lt; b</source>') !== -1, v1);
+    test.ok(v1.indexOf('<note from="developer">Compares a &amp; b</note>') !== -1, v1);
+    test.ok(v1.indexOf('<context context-type="x-jsx-context">maths</context>') !== -1, v1);
+
+    var v2 = xliff.formatXliff(xliffEntries, {version: '2.0'});
+    test.ok(v2.indexOf('<pc id="1" dispStart="&lt;a:link href=&quot;foo&quot;&gt;" dispEnd="&lt;/a:link&gt;"><ph id="2" disp="{name}"/></pc>') !== -1, v2);
+    test.ok(v2.indexOf('<notes>\n        <note category="developer">Compares a &amp; b</note>\n      </notes>') !== -1, v2);
+    test.ok(v2.indexOf('<mda:meta type="context">maths</mda:meta>') !== -1, v2);
+    test.done();
+};
+
+exports.testReadingXliff = function(test) {
+    function translate(version, targets) {
+        var i = 0;
+        return xliff.formatXliff(xliffEntries, {version: version})
+            .replace(/<\/source>/g, () => `</source><target>${targets[i++]}</target>`);
+    }
+    var expected = {
+        'Hello, <a:link href="foo">{name}</a:link>!': '<a:link href="foo">{name}</a:link> &#123;Helo&#125;!',
+        'maths\u0004a < b': 'a < b!'
+    };
+
+    test.deepEqual(xliff.translationsFromXliff(
+        translate('1.2', ['<g id="1"><x id="2"/></g> {Helo}!', 'a &lt; b!'])), expected);
+    test.deepEqual(xliff.translationsFromXliff(
+        translate('2.0', ['<pc id="1"><ph id="2"/></pc> {Helo}!', 'a &lt; b!'])), expected);
+
+    test.throws(() => xliff.translationsFromXliff(
+        translate('1.2', ['<x id="1"/>', 'a &lt; b'])));
+    test.throws(() => xliff.translationsFromXliff(
+        translate('1.2', ['<x id="7"/>', 'a &lt; b'])));
+    test.done();
+};
+
+var pluralMessage = '<I18N><Pluralize on={count}>\n' +
+    '    <Match when="=0">You have no items</Match>\n' +
+    '    <Match when="one">You have <b>one</b> item</Match>\n' +
+    '    <Match when="other">You have {count} items</Match>\n' +
+    '</Pluralize></I18N>';
+
+exports.testIcuMessageFormat = function(test) {
+    jsxlate.setMessageFormat('icu');
+    try {
+        var message = '{count, plural, =0 {You have no items} one {You have <b>one</b> item} other {You have {count} items}}';
+        test.deepEqual(jsxlate.extractMessages(pluralMessage), [message]);
+        test.deepEqual(jsxlate.extractMessages('<I18N>Hello</I18N>'), ['Hello']);
+
+        var translated = jsxlate.translateMessages(pluralMessage, {
+            [message]: "{count, plural, =0 {Dim eitemau} one {Un eitem} other {# eitem, 'ie' '#'}}"
+        });
+        test.equal(translated,
+            '<I18N><Pluralize on={count}><Match when="=0">Dim eitemau</Match><Match when="one">Un eitem</Match>' +
+            '<Match when="other">{count} eitem, \'ie\' #</Match></Pluralize></I18N>;');
+
+        // # may be used in every branch:
+        test.equal(jsxlate.translateMessages(pluralMessage, {
+            [message]: '{count, plural, =0 {Dim eitemau} one {# eitem} other {# eitem}}'
+        }),
+            '<I18N><Pluralize on={count}><Match when="=0">Dim eitemau</Match><Match when="one">{count} eitem</Match>' +
+            '<Match when="other">{count} eitem</Match></Pluralize></I18N>;');
+
+        test.throws(() => jsxlate.translateMessages(pluralMessage, {
+            [message]: '{count, plural, one {Un eitem} other {{count} {count} eitem}}'
+        }));
+        test.throws(() => jsxlate.translateMessages(pluralMessage, {
+            [message]: '{count, plural, one {Un eitem} other {eitem}'
+        }));
+    } finally {
+        jsxlate.setMessageFormat('jsx');
+    }
+    test.done();
+};
+
+exports.testIcuToJsx = function(test) {
+    test.equal(
+        jsxlate._icuToJsx('Hi <a:link href="x">{name}</a:link>, {n, plural, one {# cat} other {\'{cats}\' it\'s}}'),
+        'Hi <a:link href="x">{name}</a:link>, <Pluralize on={n}><Match when="one">{n} cat</Match>' +
+        '<Match when="other">&#123;cats&#125; it\'s</Match></Pluralize>');
+    test.equal(
+        jsxlate._icuToJsx('{n, selectordinal, one {#st} other {#th}}'),
+        '<Pluralize on={n} type="ordinal"><Match when="one">{n}st</Match><Match when="other">{n}th</Match></Pluralize>');
+    test.throws(() => jsxlate._icuToJsx('{n, plural, one {cat}'));
+    test.done();
+};
+
+var selectMessage = '<I18N><Select on={gender}><Match when="female">She</Match><Match when="other">They</Match></Select> replied</I18N>';
+
+exports.testSelect = function(test) {
+    var message = jsxlate.extractMessages(selectMessage)[0];
+    test.equal(
+        jsxlate.translateMessages(selectMessage, {
+            [message]: '<Select on={gender}><Match when="female">Atebodd hi</Match><Match when="other">Atebon nhw</Match></Select>'
+        }),
+        '<I18N><Select on={gender}><Match when="female">Atebodd hi</Match><Match when="other">Atebon nhw</Match></Select></I18N>;');
+    // Translations must keep the other branch:
+    test.throws(() => jsxlate.translateMessages(selectMessage, {
+        [message]: '<Select on={gender}><Match when="female">Atebodd hi</Match></Select>'
+    }));
+
+    jsxlate.setMessageFormat('icu');
+    try {
+        var icuMessage = '{gender, select, female {She} other {They}} replied';
+        test.deepEqual(jsxlate.extractMessages(selectMessage), [icuMessage]);
+        test.equal(
+            jsxlate.translateMessages(selectMessage, {
+                [icuMessage]: "{gender, select, female {Atebodd hi, '#1' eto} other {Atebon nhw #1}}"
+            }),
+            '<I18N><Select on={gender}><Match when="female">Atebodd hi, \'#1\' eto</Match><Match when="other">Atebon nhw #1</Match></Select></I18N>;');
+    } finally {
+        jsxlate.setMessageFormat('jsx');
+    }
+    test.done();
+};
+
+exports.testSelectRender = function(test) {
+    var components = require('./lib/components');
+    function render(on) {
+        return React.renderToStaticMarkup(React.createElement(components.Select, {on: on},
+            React.createElement(components.Match, {when: 'female'}, 'She'),
+            React.createElement(components.Match, {when: 'other'}, 'They')));
+    }
+    test.equal(render('female'), '<span>She</span>');
+    test.equal(render('male'), '<span>They</span>');
+    test.done();
+};
+
+exports.testOrdinalPluralizeRender = function(test) {
+    var components = require('./lib/components');
+    function render(place) {
+        return React.renderToStaticMarkup(React.createElement(components.Pluralize, {type: 'ordinal', on: place},
+            React.createElement(components.Match, {when: 'one'}, 'st'),
+            React.createElement(components.Match, {when: 'two'}, 'nd'),
+            React.createElement(components.Match, {when: 'few'}, 'rd'),
+            React.createElement(components.Match, {when: 'other'}, 'th')));
+    }
+    test.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 101].map(render).map(m => m.replace(/<\/?span>/g, '')),
+        ['st', 'nd', 'rd', 'th', 'th', 'th', 'th', 'st', 'nd', 'rd', 'st']);
+    test.done();
+};
+
+exports.testPluralRules = function(test) {
+    function categories(rule, numbers) {
+        return numbers.map(rule);
+    }
+    test.deepEqual(categories(plurals.cardinalRule('pl'), [0, 1, 2, 5, 12, 22, 1.5]),
+        ['many', 'one', 'few', 'many', 'many', 'few', 'other']);
+    test.deepEqual(categories(plurals.cardinalRule('ar'), [0, 1, 2, 3, 11, 100]),
+        ['zero', 'one', 'two', 'few', 'many', 'other']);
+    test.deepEqual(categories(plurals.cardinalRule('en'), [1, '1.0', 2]),
+        ['one', 'other', 'other']);
+    test.deepEqual(categories(plurals.ordinalRule('en'), [1, 2, 3, 4, 11, 12, 13, 21]),
+        ['one', 'two', 'few', 'other', 'other', 'other', 'other', 'one']);
+    test.deepEqual(categories(plurals.ordinalRule('mt'), [1, 2, 3, 11]),
+        ['other', 'other', 'other', 'other']);
+
+    // Regions fall back to their language, unless they have rules of their own:
+    test.equal(plurals.cardinalRule('pt-BR')(0), 'one');
+    test.equal(plurals.cardinalRule('pt_PT')(0), 'other');
+    test.equal(plurals.cardinalRule('xx-YY'), undefined);
+    test.done();
+};
+
+exports.testSetLocale = function(test) {
+    var components = require('./lib/components');
+    function render(count) {
+        return React.renderToStaticMarkup(React.createElement(components.Pluralize, {on: count},
+            React.createElement(components.Match, {when: 'one'}, 'plik'),
+            React.createElement(components.Match, {when: 'few'}, 'pliki'),
+            React.createElement(components.Match, {when: 'many'}, 'plików'),
+            React.createElement(components.Match, {when: 'other'}, 'pliku')));
+    }
+    try {
+        components.setLocale('pl-PL');
+        test.deepEqual([1, 2, 5, 22].map(render).map(m => m.replace(/<\/?span>/g, '')),
+            ['plik', 'pliki', 'plików', 'pliki']);
+        test.throws(() => components.setLocale('xx'));
+    } finally {
+        components.setLocale('en');
+    }
+    test.done();
+};
+
+exports.testPluralCategories = function(test) {
+    test.deepEqual(plurals.cardinalCategories('ru'), ['one', 'few', 'many', 'other']);
+    test.deepEqual(plurals.cardinalCategories('fr-CA'), ['one', 'many', 'other']);
+    test.deepEqual(plurals.cardinalCategories('ja'), ['other']);
+    test.deepEqual(plurals.ordinalCategories('en'), ['one', 'two', 'few', 'other']);
+    test.equal(plurals.cardinalCategories('xx'), undefined);
+    test.done();
+};
+
+exports.testTranslationsCheckedAgainstLocale = function(test) {
+    var src = '<I18N><Pluralize on={count}><Match when="one">{count} file</Match><Match when="other">{count} files</Match></Pluralize></I18N>';
+    var message = '<Pluralize on={count}><Match when="one">{count} file</Match><Match when="other">{count} files</Match></Pluralize>';
+    function bundle(translation, locale) {
+        return jsxlate.translateMessagesToBundle(src, {[message]: translation}, {locale: locale});
+    }
+    var russian = '<Pluralize on={count}><Match when="=0">Нет файлов</Match><Match when="one">{count} файл</Match>' +
+        '<Match when="few">{count} файла</Match><Match when="many">{count} файлов</Match><Match when="other">{count} файла</Match></Pluralize>';
+    var incomplete = '<Pluralize on={count}><Match when="one">{count} файл</Match><Match when="other">{count} файлов</Match></Pluralize>';
+    var japanese = '<Pluralize on={count}><Match when="one">{count}ファイル</Match><Match when="other">{count}ファイル</Match></Pluralize>';
+
+    test.ok(bundle(russian, 'ru').elements[message]);
+    test.ok(bundle(incomplete).elements[message]);
+    test.throws(() => bundle(incomplete, 'ru'), /missing few, many/);
+    test.throws(() => bundle(japanese, 'ja'), /ja does not use one/);
+    test.throws(() => bundle(russian, 'xx'), /No cardinal plural rules/);
+    test.deepEqual(
+        jsxlate.checkTranslations(src, {[message]: incomplete}, {locale: 'ru-RU'}).map(r => r.status),
+        ['invalid']);
+    test.done();
+};
+
+exports.testSubscribe = function(test) {
+    var components = require('./lib/components');
+    var calls = 0;
+    var unsubscribe = components.subscribe(() => calls++);
+    try {
+        components.setMessages({});
+        components.setLocale('fr');
+        test.equal(calls, 2);
+    } finally {
+        unsubscribe();
+        components.setLocale('en');
+    }
+    components.setMessages({});
+    test.equal(calls, 2);
+    test.done();
+};
+
+exports.testI18nProvider = function(test) {
+    var components = require('./lib/components');
+    var h = React.createElement;
+    var message = h(I18N, {message: 'Hello', context: null, args: [], fallback: () => h('span', null, 'Hello')});
+    var files = h(components.Pluralize, {on: 2},
+        h(components.Match, {when: 'one'}, 'one'),
+        h(components.Match, {when: 'few'}, 'few'),
+        h(components.Match, {when: 'other'}, 'other'));
+
+    test.equal(
+        React.renderToStaticMarkup(h(components.I18nProvider, {messages: {elements: {'Hello': () => h('span', null, 'Helo')}}}, message)),
+        '<span>Helo</span>');
+    test.equal(React.renderToStaticMarkup(message), '<span>Hello</span>');
+
+    test.equal(
+        React.renderToStaticMarkup(h(components.I18nProvider, {locale: 'pl'}, files)).replace(/<\/?span>/g, ''),
+        'few');
+    test.equal(React.renderToStaticMarkup(files).replace(/<\/?span>/g, ''), 'other');
+
+    // Inner providers inherit what they don't set from outer ones:
+    test.equal(
+        React.renderToStaticMarkup(h(components.I18nProvider, {locale: 'pl'},
+            h(components.I18nProvider, {messages: {}}, files))).replace(/<\/?span>/g, ''),
+        'few');
+
+    // and follow the global locale and messages when they change:
+    var localeOnly = new components.I18nProvider({locale: 'pl'}).getChildContext().jsxlate;
+    var messagesOnly = new components.I18nProvider({messages: {}}).getChildContext().jsxlate;
+    try {
+        components.setMessages({strings: {'Hello': 'Helo'}});
+        components.setLocale('cy');
+        test.equal(localeOnly.i18n('Hello'), 'Helo');
+        test.equal(localeOnly.locale.name, 'pl');
+        test.equal(messagesOnly.locale.name, 'cy');
+        test.equal(messagesOnly.i18n('Hello'), 'Hello');
+    } finally {
+        components.setMessages({});
+        components.setLocale('en');
+    }
+    test.done();
+};
+
+exports.testLoadLocale = function(test) {
+    var components = require('./lib/components');
+    var h = React.createElement;
+    var message = h(I18N, {message: 'Hello', context: null, args: [], fallback: () => h('span', null, 'Hello')});
+    var resolveFrench;
+    var loaders = {
+        fr: () => new Promise(resolve => { resolveFrench = resolve; }),
+        de: () => Promise.resolve({default: {elements: {'Hello': () => h('span', null, 'Hallo')}}})
+    };
+
+    var loading = components.loadLocale('fr-CA', loaders);
+    test.equal(components.loadingLocale(), 'fr-CA');
+    test.equal(React.renderToStaticMarkup(message), '<span>Hello</span>');
+    resolveFrench({elements: {'Hello': () => h('span', null, 'Bonjour')}});
+    loading.then(() => {
+        test.equal(components.loadingLocale(), null);
+        test.equal(React.renderToStaticMarkup(message), '<span>Bonjour</span>');
+
+        // A load overtaken by a later one doesn't switch locale:
+        var stale = components.loadLocale('fr', loaders);
+        return components.loadLocale('de', loaders).then(() => {
+            resolveFrench({elements: {'Hello': () => h('span', null, 'Bonjour')}});
+            return stale;
+        });
+    }).then(() => {
+        test.equal(React.renderToStaticMarkup(message), '<span>Hallo</span>');
+        return components.loadLocale('xx', loaders).then(
+            () => test.ok(false, 'loaded a locale without a loader'),
+            error => test.ok(/xx/.test(error.message)));
+    }).then(() => {
+        components.setLocale('en');
+        components.setMessages({});
+        test.done();
+    }, error => {
+        components.setLocale('en');
+        components.setMessages({});
+        test.ifError(error);
+        test.done();
+    });
+};
+
+exports.testSplitLayout = function(test) {
+    var chunks = require('./bin/chunks');
+    var layout = chunks.splitLayout(['fr', 'de'], ['home', 'shop'], '.js');
+    test.deepEqual(layout.manifest, {
+        home: {fr: 'fr/home.js', de: 'de/home.js'},
+        shop: {fr: 'fr/shop.js', de: 'de/shop.js'}
+    });
+    test.equal(layout.loaders,
+        'module.exports = {\n' +
+        '\t"fr": {\n' +
+        '\t\t"home": function () { return import("./fr/home.js"); },\n' +
+        '\t\t"shop": function () { return import("./fr/shop.js"); }\n' +
+        '\t},\n' +
+        '\t"de": {\n' +
+        '\t\t"home": function () { return import("./de/home.js"); },\n' +
+        '\t\t"shop": function () { return import("./de/shop.js"); }\n' +
+        '\t}\n' +
+        '};\n');
+
+    test.deepEqual(chunks.chunksFromPaths(['src/home', 'src/shop.js']),
+        [{name: 'home', paths: ['src/home']}, {name: 'shop', paths: ['src/shop.js']}]);
+    test.throws(() => chunks.chunksFromPaths(['src/admin/index.js', 'src/shop/index.js']),
+        /src\/admin\/index.js and src\/shop\/index.js would both be named index/);
+    test.done();
+};
+
+exports.testConfigPaths = function(test) {
+    var fs = require('fs');
+    var path = require('path');
+    var config = require('./config');
+    var directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'jsxlate-'));
+    var file = path.join(directory, '.jsxlaterc');
+    fs.writeFileSync(file, JSON.stringify({chunks: {shop: ['src/shop', 'src/cart.js']}, domains: {admin: 'src/admin'}}));
+    try {
+        var projectConfig = config.read(file);
+        test.deepEqual(projectConfig.chunks,
+            {shop: [path.join(directory, 'src/shop'), path.join(directory, 'src/cart.js')]});
+        test.equal(config.domainForFile(projectConfig, path.join(directory, 'src/admin/users.js')), 'admin');
+        test.deepEqual(config.load(path.join(directory, 'src')), projectConfig);
+    } finally {
+        fs.unlinkSync(file);
+        fs.rmdirSync(directory);
+    }
+    test.done();
+};
+
+exports.testLoadChunk = function(test) {
+    var components = require('./lib/components');
+    var loaders = {
+        fr: {
+            home: () => Promise.resolve({strings: {'Hello': () => 'Bonjour'}}),
+            shop: () => Promise.resolve({default: {strings: {'Buy': () => 'Acheter'}}})
+        },
+        de: {
+            home: () => Promise.resolve({strings: {'Hello': () => 'Hallo'}}),
+            shop: () => Promise.resolve({strings: {'Buy': () => 'Kaufen'}})
+        }
+    };
+    function translated() {
+        return [components.i18n('Hello'), components.i18n('Buy')];
+    }
+
+    // The source locale has no bundles to load:
+    components.loadChunk('home', loaders).then(messages => {
+        test.deepEqual(messages, {});
+        return components.loadLocale('fr', loaders);
+    }).then(() => {
+        test.deepEqual(translated(), ['Bonjour', 'Buy']);
+        return components.loadChunk('shop', loaders);
+    }).then(() => {
+        test.deepEqual(translated(), ['Bonjour', 'Acheter']);
+        return components.loadLocale('de', loaders);
+    }).then(() => {
+        test.deepEqual(translated(), ['Hallo', 'Kaufen']);
+        return components.loadChunk('cart', loaders).then(
+            () => test.ok(false, 'loaded a chunk without a loader'),
+            error => test.ok(/cart/.test(error.message)));
+    }).then(() => {
+        components.setLocale('en');
+        components.setMessages({});
+        test.done();
+    }, error => {
+        components.setLocale('en');
+        components.setMessages({});
+        test.ifError(error);
+        test.done();
+    });
+};
+
 exports.testI18NRender = function(test) {
-    setMessages({
+    setMessages({elements: {
       "Hello World": function() {return React.DOM.span("Hello World")}
-    });
+    }});
 
     LegitTest(React.createElement(I18N, null, "Hello World"))
       .test(({helpers, component}) => {